@@ -1,36 +1,131 @@
 /**
  * Dainify Konverteris (fixed, worker-compatible signing)
- * - MP3 and HLS inputs → 30s HLS preview
- * - Uploads demo.m3u8 + .ts to R2 under: previews/<internalTaskId>-<index>/
+ * - MP3 and HLS inputs → 30s HLS preview (window picked by energy/onset analysis unless a fixed start is forced)
+ * - Two-pass EBU R128 loudnorm of previews to LOUDNORM_TARGET_LUFS; source loudness/format reported per item
+ * - Waveform peaks (audiowaveform JSON) + PNG for preview and full track under previews/<id>/waveform/
+ * - Cover art downloaded, validated, resized to WebP/JPEG (+AVIF) with a blurhash under previews/<id>/cover/
+ * - Full source archived to masters/<id>/ (private) + tagged download formats (MP3 320k, M4A, FLAC, OGG)
+ * - Sources stream to disk (DOWNLOAD_MAX_BYTES / DOWNLOAD_TIMEOUT_MS); uploads stream, multipart above the part size
+ * - Sources validated with ffprobe + silencedetect; failures carry machine-readable codes (FAILURE_CODES)
+ * - OPTIONAL audible watermark (voice tag / beep every N seconds, music ducked under it) — previews only
+ * - Encodes AAC renditions (PREVIEW_BITRATES) under a master demo.m3u8, MPEG-TS or fMP4 segments
+ * - Per-request `options` (start, duration, segment length, fade, bitrates, formats) over the env defaults
+ * - Uploads master + rendition playlists + segments to R2 under: previews/<internalTaskId>-<index>/
+ * - Pluggable storage (STORAGE_BACKEND): r2 (default) | s3 (custom endpoint, MinIO) | local (previews/ at /storage)
  * - Sends callback to Worker with previewR2Path
+ * - One process-wide priority queue (MAX_CONCURRENT variants at once); 429 + Retry-After past MAX_QUEUE_DEPTH
+ * - Persists job state under DATA_DIR (GET /jobs/:taskId), dedupes re-sent tasks, resumes after restart,
+ *   prunes finished records after RECORD_RETENTION_DAYS
+ * - Inbound requests HMAC-signed (timestamp + nonce + method/URL + raw body), rotating keys (WEBHOOK_SIGNING_KEYS)
+ * - Callbacks are HMAC-signed and retried with backoff; undeliverable ones land in /admin/dead-letters
+ * - Structured JSON logs (LOG_FORMAT) tagged with taskId/variant/stage; Prometheus metrics at /metrics
+ * - /health/live (process up) and /health/ready (ffmpeg + storage reachable)
+ * - OPTIONAL: AES-128 encrypted segments; per-variant key in keys/<id>/, EXT-X-KEY → Worker key endpoint
  * - OPTIONAL: If PREVIEW_SOURCE=r2, builds Worker-style signed /preview URL (ms exp + hex HMAC "<path>.<expMs>")
+ * - POST /sign and /verify: short-lived Worker-style URLs for previews/ on demand, `kid` for key rotation
+ * - DELETE /previews/:taskId; optional sweeper (retention days / Worker keep-list, dry-run reports)
+ * - Identical source + options + title/cover → earlier render reused whole (`deduplicated: true`), DATA_DIR/dedup
+ * - HLS sources: EXT-X-MEDIA audio groups, codec-aware variant choice, byte ranges, fMP4 maps, AES-128, live waits
+ * - Per-variant variant-complete/variant-failed and variant-progress callbacks; failedItems in the final callback
+ * - POST /jobs/:taskId/cancel (abort downloads, kill ffmpeg, delete uploads); SIGTERM drains, then checkpoints
  */
 
 import express from 'express';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
 import Ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
 import axios from 'axios';
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
 import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
+import { encode as encodeBlurhash } from 'blurhash';
+import { AsyncLocalStorage } from 'async_hooks';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { FAILURE_CODES, SOURCE_FAILURES, failure } from './lib/failures.js';
+import { hlsPreviewOutputOptions } from './lib/hls-output.js';
+import {
+  DOWNLOAD_FORMATS,
+  effectivePreviewOptions,
+  parsePreviewStart,
+  validatePreviewOptions,
+} from './lib/preview-options.js';
+import { hmacHex, parseSigningKeys, safeEqual, verifyRequestSignature } from './lib/request-auth.js';
+import {
+  isMasterPlaylist,
+  isMediaPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+  pickAudioSource,
+  renderMediaPlaylist,
+} from './lib/hls-playlist.js';
 
 /* ===================== CONFIG ===================== */
 
 const config = {
   port: Number(process.env.PORT || 10000),
+  // "r2" | "s3" | "local"
+  storageBackend: process.env.STORAGE_BACKEND || 'r2',
   r2: {
     accountId: process.env.R2_ACCOUNT_ID,
     accessKeyId: process.env.R2_ACCESS_KEY_ID,
     secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
     bucketName: process.env.R2_BUCKET_NAME,
   },
+  // generic S3-compatible storage (STORAGE_BACKEND=s3), e.g. MinIO or AWS S3
+  s3: {
+    endpoint: process.env.S3_ENDPOINT, // empty → AWS default for the region
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    bucketName: process.env.S3_BUCKET_NAME,
+    // MinIO and most self-hosted servers need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+  },
+  // local directory storage (STORAGE_BACKEND=local), for development and tests
+  localStorage: {
+    dir: process.env.LOCAL_STORAGE_DIR, // default: <DATA_DIR>/storage
+    // serve <dir>/previews over HTTP at /storage/previews (mirrors a public bucket; keys/masters stay private)
+    serve: process.env.LOCAL_STORAGE_SERVE !== 'false',
+  },
   worker: {
     callbackUrl: process.env.WORKER_CALLBACK_URL,
+    // HMAC key for X-Dainify-Signature on callbacks
     callbackSecret: process.env.WORKER_CALLBACK_SECRET,
+    // delivery attempts before a callback is dead-lettered
+    callbackMaxAttempts: Number(process.env.CALLBACK_MAX_ATTEMPTS || 6),
+    callbackRetryBaseMs: Number(process.env.CALLBACK_RETRY_BASE_MS || 1000),
+    callbackRetryMaxMs: Number(process.env.CALLBACK_RETRY_MAX_MS || 60000),
+    // best-effort variant-complete / variant-failed callbacks as each variant finishes
+    variantCallbacks: process.env.VARIANT_CALLBACKS === 'true',
+    // best-effort variant-progress callbacks (download/transcode/upload %), at most one per interval
+    progressCallbacks: process.env.PROGRESS_CALLBACKS === 'true',
+    progressIntervalMs: Number(process.env.PROGRESS_CALLBACK_INTERVAL_MS || 5000),
   },
+  // shared secret for inbound requests: HMAC key "default" and the (deprecated) x-webhook-secret value
   webhookSecret: process.env.WEBHOOK_SECRET,
+  // inbound request signing (see verifySecret)
+  requestAuth: {
+    // "kid:secret,kid2:secret2" — every listed key is accepted, so rotation is add → switch Worker → remove
+    keys: parseSigningKeys(process.env.WEBHOOK_SIGNING_KEYS, process.env.WEBHOOK_SECRET),
+    // max |now - X-Dainify-Timestamp|; nonces are remembered for twice this long
+    maxSkewSeconds: Number(process.env.WEBHOOK_MAX_SKEW_SECONDS || 300),
+    // DEPRECATED: also accept the bare x-webhook-secret header (Workers that don't sign yet)
+    allowStaticSecret: process.env.WEBHOOK_ALLOW_STATIC_SECRET === 'true',
+  },
+  // protects /admin/* routes (disabled when unset)
+  adminSecret: process.env.ADMIN_SECRET,
 
   // Preview via private R2 through the Worker’s /preview route
   preview: {
@@ -38,35 +133,167 @@ const config = {
     source: process.env.PREVIEW_SOURCE || 'stream',
     // Worker base URL pointing at /preview, e.g. https://your-worker.workers.dev/preview
     r2ProxyBase: process.env.R2_PROXY_BASE,
-    // must match Worker’s PREVIEW_TOKEN_SECRET
+    // must match Worker’s PREVIEW_TOKEN_SECRET (resolved to the tokenKid key in validateEnv)
     tokenSecret: process.env.PREVIEW_TOKEN_SECRET,
+    // rotation: "kid:secret,..." (PREVIEW_TOKEN_SECRET joins as kid "default"). New tokens use tokenKid;
+    // every listed key still verifies, so drop an old key only once the links it signed have expired
+    tokenKeys: parseSigningKeys(process.env.PREVIEW_TOKEN_KEYS, process.env.PREVIEW_TOKEN_SECRET),
+    tokenKid: process.env.PREVIEW_TOKEN_KID || '',
+    // POST /sign: default and maximum lifetime of minted URLs
+    signTtlSeconds: Number(process.env.SIGN_TTL_SECONDS || 3600),
+    signMaxTtlSeconds: Number(process.env.SIGN_MAX_TTL_SECONDS || 86400),
     // ms TTL will be computed from days below
     tokenTtlDays: Number(process.env.PREVIEW_TOKEN_TTL_DAYS || 30),
+    // "auto" (pick the most energetic window) or a fixed start offset in seconds
+    start: parsePreviewStart(process.env.PREVIEW_START || 'auto') ?? 'auto',
+    // fade-in/out applied at the window edges (0 disables)
+    fadeSeconds: Number(process.env.PREVIEW_FADE_SECONDS ?? 1.5),
+    // AAC renditions (kbps) listed in the master playlist, lowest first
+    bitratesKbps: parseBitrates(process.env.PREVIEW_BITRATES || '64,128,192'),
+    // "mpegts" (.ts) | "fmp4" (CMAF .m4s + init.mp4)
+    segmentType: process.env.PREVIEW_SEGMENT_TYPE || 'mpegts',
+    // two-pass EBU R128 normalization (pass 1 measures the full source, pass 2 applies it linearly)
+    loudness: {
+      enabled: process.env.LOUDNORM_ENABLED !== 'false',
+      targetLufs: Number(process.env.LOUDNORM_TARGET_LUFS || -14),
+      truePeakDb: Number(process.env.LOUDNORM_TRUE_PEAK || -1.5),
+      lra: Number(process.env.LOUDNORM_LRA || 11),
+    },
+    // AES-128 segment encryption; request `encrypt` overrides `enabled`
+    encryption: {
+      enabled: process.env.HLS_ENCRYPTION === 'true',
+      // Worker key endpoint, e.g. https://your-worker.workers.dev/preview-key (signed like /preview)
+      keyBase: process.env.HLS_KEY_BASE,
+      // EXT-X-KEY URI written into playlists (see prepareHlsEncryption):
+      //   "signed" — pre-signed here; dies PREVIEW_TOKEN_TTL_DAYS after the render (or when its kid is removed)
+      //   "stable" — plain <HLS_KEY_BASE>/<key path>; the Worker appends a fresh exp/token when serving playlists
+      keyUriMode: process.env.HLS_KEY_URI_MODE === 'stable' ? 'stable' : 'signed',
+      // private R2 prefix for per-variant keys
+      keyPrefix: (process.env.HLS_KEY_PREFIX || 'keys/').replace(/\/*$/, '/'),
+    },
+    // audible tag mixed into previews only (never full-track outputs); request `watermark` overrides `enabled`
+    watermark: {
+      enabled: process.env.WATERMARK_ENABLED === 'true',
+      // local file path or "r2://<key>" in the configured storage bucket; empty → generated beep
+      source: process.env.WATERMARK_SOURCE || '',
+      intervalSeconds: Number(process.env.WATERMARK_INTERVAL_SECONDS || 10),
+      offsetSeconds: Number(process.env.WATERMARK_OFFSET_SECONDS || 3),
+      volume: Number(process.env.WATERMARK_VOLUME || 1),
+      // sidechain compression ratio applied to the music while the tag plays
+      duckRatio: Number(process.env.WATERMARK_DUCK_RATIO || 8),
+    },
+  },
+
+  // waveform peaks (audiowaveform v2 JSON, 8-bit) + rendered PNG
+  waveform: {
+    enabled: process.env.WAVEFORM_ENABLED !== 'false',
+    sampleRate: 44100,
+    // resolution: min/max pairs per second of audio (samples_per_pixel = sampleRate / this)
+    pixelsPerSecond: Number(process.env.WAVEFORM_PIXELS_PER_SECOND || 20),
+    imageSize: process.env.WAVEFORM_IMAGE_SIZE || '1800x280',
+    color: process.env.WAVEFORM_COLOR || '0x8a8a8a',
+  },
+
+  // cover art re-hosted in R2 (third-party image URLs expire)
+  cover: {
+    enabled: process.env.COVER_ENABLED !== 'false',
+    // bounding box sizes (px); images are never upscaled
+    sizes: parseBitrates(process.env.COVER_SIZES || '160,320,640,1024'),
+    avif: process.env.COVER_AVIF === 'true',
+    maxBytes: Number(process.env.COVER_MAX_BYTES || 15 * 1024 * 1024),
+  },
+
+  // full-track archive for the unlock flow (private prefix, never served by /preview)
+  masters: {
+    enabled: process.env.MASTERS_ENABLED !== 'false',
+    prefix: (process.env.MASTERS_PREFIX || 'masters/').replace(/\/*$/, '/'),
+    // any of: mp3, m4a, flac, ogg
+    formats: String(process.env.DOWNLOAD_FORMATS ?? 'mp3,m4a,flac,ogg')
+      .split(',')
+      .map((f) => f.trim().toLowerCase())
+      .filter(Boolean),
+    artist: process.env.DOWNLOAD_TAG_ARTIST || '',
+  },
+
+  // cleanup of old / orphaned previews (see sweepPreviews); masters are never swept
+  retention: {
+    sweepEnabled: process.env.SWEEP_ENABLED === 'true',
+    sweepIntervalMinutes: Number(process.env.SWEEP_INTERVAL_MINUTES || 360),
+    // delete variant folders whose newest object is older than this (0 = age alone never deletes)
+    days: Number(process.env.PREVIEW_RETENTION_DAYS || 0),
+    // Worker endpoint listing task/variant ids to keep (JSON array or { keep: [...] }), GET signed like callbacks
+    keepListUrl: process.env.SWEEP_KEEP_LIST_URL,
+    // folders younger than this survive the keep-list check (the Worker may not have stored them yet)
+    graceHours: Number(process.env.SWEEP_GRACE_HOURS || 24),
+    // scheduled sweeps only report until this is set to false
+    dryRun: process.env.SWEEP_DRY_RUN !== 'false',
+    // finished job records and dead letters older than this are pruned from DATA_DIR (0 = keep forever)
+    recordDays: Number(process.env.RECORD_RETENTION_DAYS ?? 30),
+  },
+
+  // reuse earlier renders of identical audio + options instead of transcoding/uploading again
+  dedup: {
+    enabled: process.env.DEDUP_ENABLED !== 'false',
+  },
+
+  // source download limits (streamed to disk, never buffered whole)
+  download: {
+    maxBytes: Number(process.env.DOWNLOAD_MAX_BYTES || 200 * 1024 * 1024),
+    // whole-transfer budget; requestTimeoutMs below only covers the wait for response headers
+    timeoutMs: Number(process.env.DOWNLOAD_TIMEOUT_MS || 120000),
+  },
+  // source checks run before any transcoding
+  validation: {
+    minDurationSeconds: Number(process.env.MIN_SOURCE_SECONDS || 10),
+    silenceThresholdDb: Number(process.env.SILENCE_THRESHOLD_DB || -50),
+    // fail as SOURCE_SILENT when at least this share of the track is below the threshold
+    maxSilentRatio: Number(process.env.MAX_SILENT_RATIO || 0.9),
+  },
+  // files at or above partSize go up as multipart uploads
+  upload: {
+    // S3/R2 multipart parts must be at least 5 MiB
+    partSizeBytes: Math.max(5, Number(process.env.UPLOAD_PART_SIZE_MB || 8)) * 1024 * 1024,
+    queueSize: Number(process.env.UPLOAD_QUEUE_SIZE || 2),
   },
 
   // tech knobs
+  // process-wide: variants processed at once / variants allowed to wait before /create-preview answers 429
   maxConcurrent: Number(process.env.MAX_CONCURRENT || 2),
+  maxQueueDepth: Number(process.env.MAX_QUEUE_DEPTH || 50),
+  // SIGTERM/SIGINT: how long running variants may finish before they are killed and checkpointed
+  shutdownGraceMs: Number(process.env.SHUTDOWN_GRACE_MS || 25000),
   ffmpegTrimSeconds: Number(process.env.TRIM_SECONDS || 30),
   hlsSegmentSeconds: Number(process.env.HLS_SEGMENT_SECONDS || 4),
   requestTimeoutMs: Number(process.env.REQUEST_TIMEOUT_MS || 20000),
   callbackTimeoutMs: Number(process.env.CALLBACK_TIMEOUT_MS || 10000),
+  // live/EVENT HLS sources: how long to wait for enough segments (or ENDLIST)
+  hlsLiveWaitMs: Number(process.env.HLS_LIVE_WAIT_MS || 180000),
+
+  // local state (job records etc.); mount a volume here to survive restarts
+  dataDir: process.env.DATA_DIR || path.join(process.cwd(), 'data'),
+
+  // "json" (one object per line, for log shipping) | "text"; level: debug | info | warn | error
+  log: {
+    format: process.env.LOG_FORMAT || 'json',
+    level: process.env.LOG_LEVEL || 'info',
+  },
+  // bearer token for GET /metrics (open when unset)
+  metricsToken: process.env.METRICS_TOKEN,
 };
 
+// per-job/variant log fields (taskId, variant) without threading them through every call
+const logContext = new AsyncLocalStorage();
+const log = createLogger(config.log);
+const metrics = createMetrics();
+const execFileAsync = promisify(execFile);
+
 validateEnv(config);
 
-// ffmpeg path
+// ffmpeg path (ffprobe comes from PATH / FFPROBE_PATH — the Docker image installs it with apt ffmpeg)
 Ffmpeg.setFfmpegPath(ffmpegStatic);
 
-// R2 S3 client
-const R2_ENDPOINT = `https://${config.r2.accountId}.r2.cloudflarestorage.com`;
-const s3Client = new S3Client({
-  region: 'auto',
-  endpoint: R2_ENDPOINT,
-  credentials: {
-    accessKeyId: config.r2.accessKeyId,
-    secretAccessKey: config.r2.secretAccessKey,
-  },
-});
+// object storage (R2 by default)
+const storage = createStorage(config);
 
 // Axios defaults
 const AXIOS_DEFAULTS = {
@@ -82,12 +309,50 @@ const AXIOS_DEFAULTS = {
 /* ===================== EXPRESS APP ===================== */
 
 const app = express();
-app.use(express.json());
+// keep the exact bytes for signature checks
+app.use(express.json({ verify: (req, _res, buf) => (req.rawBody = buf.toString('utf8')) }));
+
+// only previews/ is public; keys/ (AES-128 preview keys) and masters/ never are
+if (config.storageBackend === 'local' && config.localStorage.serve) {
+  const privatePrefixes = [config.preview.encryption.keyPrefix, config.masters.prefix];
+  app.use('/storage/previews', (req, res, next) => {
+    const key = `previews${decodeURIComponent(req.path)}`;
+    if (privatePrefixes.some((p) => key.startsWith(p))) return res.status(404).send('Not Found');
+    next();
+  });
+  app.use('/storage/previews', express.static(path.join(storage.root, 'previews'), { fallthrough: false }));
+}
+
+let staticSecretWarned = false;
 
+// signed requests are checked by verifyRequestSignature (lib/request-auth.js, header spec there)
 const verifySecret = (req, _res, next) => {
-  const secret = req.headers['x-webhook-secret'];
-  if (!config.webhookSecret || secret !== config.webhookSecret) {
-    console.warn('Unauthorized attempt: Invalid or missing webhook secret.');
+  const staticSecret = req.headers['x-webhook-secret'];
+  let reason;
+  if (staticSecret != null && req.headers['x-dainify-signature'] == null) {
+    const accepted =
+      config.requestAuth.allowStaticSecret && config.webhookSecret && safeEqual(staticSecret, config.webhookSecret);
+    reason = accepted ? null : 'static secret rejected';
+    if (accepted && !staticSecretWarned) {
+      staticSecretWarned = true;
+      log.warn('Accepted a request authenticated with the deprecated x-webhook-secret header; sign requests instead');
+    }
+  } else {
+    reason = verifyRequestSignature(req, config.requestAuth);
+  }
+  if (reason) {
+    log.warn('Unauthorized attempt', { path: req.path, reason });
+    const err = new Error('Unauthorized');
+    err.statusCode = 401;
+    throw err;
+  }
+  next();
+};
+
+const verifyAdmin = (req, _res, next) => {
+  const secret = req.headers['x-admin-secret'];
+  if (!config.adminSecret || secret == null || !safeEqual(secret, config.adminSecret)) {
+    log.warn('Unauthorized admin attempt: invalid or missing admin secret', { path: req.path });
     const err = new Error('Unauthorized');
     err.statusCode = 401;
     throw err;
@@ -99,60 +364,282 @@ app.get('/health', (_req, res) => {
   res.status(200).send({ status: 'ok', message: 'Dainify Konverteris is running.' });
 });
 
+// liveness: the process answers (restart when this fails)
+app.get('/health/live', (_req, res) => {
+  res.status(200).send({ status: 'ok' });
+});
+
+// readiness: ffmpeg and storage reachable (stop routing work here when this fails)
+app.get('/health/ready', async (_req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).send({ status: ready ? 'ready' : 'unavailable', checks });
+});
+
+app.get('/metrics', (req, res) => {
+  if (config.metricsToken && !safeEqual(req.headers.authorization || '', `Bearer ${config.metricsToken}`)) {
+    return res.status(401).send('Unauthorized');
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.status(200).send(metrics.registry.render());
+});
+
 app.post('/create-preview', verifySecret, async (req, res) => {
-  const { internalTaskId, sunoVariants, customerId } = req.body || {};
+  const { internalTaskId, sunoVariants, customerId, previewStart, watermark, encrypt, priority, options } =
+    req.body || {};
   if (!internalTaskId || !Array.isArray(sunoVariants) || !customerId) {
     return res.status(400).send('Bad Request: Missing required payload fields.');
   }
+  if (previewStart != null && parsePreviewStart(previewStart) == null) {
+    return res.status(400).send('Bad Request: previewStart must be "auto" or a non-negative number of seconds.');
+  }
+  if (watermark != null && typeof watermark !== 'boolean') {
+    return res.status(400).send('Bad Request: watermark must be a boolean.');
+  }
+  if (encrypt != null && typeof encrypt !== 'boolean') {
+    return res.status(400).send('Bad Request: encrypt must be a boolean.');
+  }
+  if (priority != null && parsePriority(priority) == null) {
+    const names = Object.keys(PRIORITIES).join(', ');
+    return res.status(400).send(`Bad Request: priority must be a number or one of ${names}.`);
+  }
+  const { options: previewOptions, errors: optionErrors } = validatePreviewOptions(options);
+  if (optionErrors.length) {
+    return res.status(400).send(`Bad Request: ${optionErrors.join('; ')}.`);
+  }
+
+  // idempotency: the Worker may re-send the same task; only failed jobs are re-run, from the new payload
+  // (after e.g. SOURCE_SILENT the Worker regenerates the track, so the stored URLs are the bad ones)
+  const existing = jobStore.get(internalTaskId);
+  if (existing && existing.status !== 'failed') {
+    log.info('Duplicate submission ignored', { taskId: internalTaskId, jobStatus: existing.status });
+    metrics.jobs.inc({ event: 'duplicate' });
+    return res.status(200).send({ status: 'duplicate', job: publicJob(existing) });
+  }
+
+  // backpressure: refuse instead of queueing without bound
+  if (!jobQueue.hasRoomFor(sunoVariants.length)) {
+    const retryAfter = jobQueue.retryAfterSeconds();
+    log.warn('Queue full, rejecting with 429', { taskId: internalTaskId, retryAfter, queueDepth: jobQueue.depth });
+    metrics.jobs.inc({ event: 'rejected' });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).send({ status: 'busy', message: 'Queue is full, retry later.', retryAfter });
+  }
+
+  const job = createJob(internalTaskId, customerId, sunoVariants, {
+    priority: parsePriority(priority ?? 'normal'),
+    // top-level previewStart/watermark/encrypt predate `options` and still work; `options` wins
+    preview: {
+      ...(previewStart != null && { start: parsePreviewStart(previewStart) }),
+      ...(watermark != null && { watermark }),
+      ...(encrypt != null && { encrypt }),
+      ...previewOptions,
+    },
+  });
+  if (existing) {
+    log.info('Re-running failed task with the re-sent payload', { taskId: internalTaskId });
+    job.createdAt = existing.createdAt;
+  }
+  await jobStore.save(job);
 
   // quick ack
   res.status(202).send({ status: 'accepted', message: 'Processing started in the background.' });
 
-  console.log(`[${internalTaskId}] Starting processing for ${sunoVariants.length} variants.`);
+  metrics.jobs.inc({ event: 'accepted' });
+  runJob(job).catch((e) => log.error('Job crashed', { taskId: internalTaskId, err: e?.message || String(e) }));
+});
+
+app.get('/jobs/:taskId', verifySecret, (req, res) => {
+  const job = jobStore.get(req.params.taskId);
+  if (!job) return res.status(404).send('Job not found');
+  res.status(200).send(publicJob(job));
+});
 
-  const normalized = sunoVariants.map((v, i) => normalizeVariant(v, i));
-  const invalids = normalized
-    .map((v, i) => ({ i, hasUrl: !!(v.audioUrl || v.streamUrl), keys: Object.keys(sunoVariants[i] || {}) }))
-    .filter((x) => !x.hasUrl);
-  if (invalids.length) {
-    console.warn(`[${internalTaskId}] Variants missing audioUrl/streamUrl:`, invalids);
+// stop a queued/running job: downloads aborted, ffmpeg killed, uploads deleted, conversion-cancelled sent
+app.post('/jobs/:taskId/cancel', verifySecret, async (req, res) => {
+  const job = jobStore.get(req.params.taskId);
+  if (!job) return res.status(404).send('Job not found');
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return res.status(409).send({ status: 'not-cancellable', job: publicJob(job) });
+  }
+  if (!job.cancelRequestedAt) {
+    log.info('Cancelling job', { taskId: job.taskId, running: activeRuns.has(job.taskId) });
+    job.cancelRequestedAt = new Date().toISOString();
+    await jobStore.save(job);
+    if (activeRuns.has(job.taskId)) {
+      abortJob(job.taskId, 'cancelled');
+    } else {
+      // nothing in flight (should not happen after startup) → clean up right here
+      finishCancelledJob(job).catch((e) => log.error('Cancel cleanup failed', { taskId: job.taskId, err: e.message }));
+    }
   }
+  res.status(202).send({ status: 'cancelling', job: publicJob(job) });
+});
 
-  const limit = pLimit(config.maxConcurrent);
-  const results = await Promise.allSettled(
-    normalized.map((variant) => limit(() => processVariantSafe(variant, internalTaskId)))
-  );
+// short-lived Worker-style URLs for objects under previews/ (a whole HLS folder with `segments: true`)
+app.post('/sign', verifySecret, async (req, res) => {
+  const { path: objectPath, paths, segments, ttlSeconds, kid } = req.body || {};
+  const { tokenKeys, tokenKid, r2ProxyBase, signTtlSeconds, signMaxTtlSeconds } = config.preview;
+  const requested = paths ?? (objectPath != null ? [objectPath] : null);
+  if (!Array.isArray(requested) || !requested.length || requested.length > 1000) {
+    return res.status(400).send('Bad Request: path or paths (1 to 1000 keys) is required.');
+  }
+  const bad = requested.find((p) => !isSignablePath(p));
+  if (bad !== undefined) {
+    return res.status(400).send(`Bad Request: ${JSON.stringify(bad)} is not an object key under previews/.`);
+  }
+  const ttl = ttlSeconds ?? signTtlSeconds;
+  if (typeof ttl !== 'number' || !(ttl > 0) || ttl > signMaxTtlSeconds) {
+    return res.status(400).send(`Bad Request: ttlSeconds must be a number between 1 and ${signMaxTtlSeconds}.`);
+  }
+  const useKid = kid ?? tokenKid;
+  if (!tokenKeys.has(useKid)) {
+    return res.status(400).send(`Bad Request: unknown kid ${JSON.stringify(useKid)}.`);
+  }
 
-  const finalItems = results
-    .map((r) => (r.status === 'fulfilled' ? r.value : null))
-    .filter(Boolean);
-
-  if (finalItems.length === 0) {
-    console.error(`[${internalTaskId}] All variants failed. Sending failure callback.`);
-    await safePost(
-      config.worker.callbackUrl,
-      {
-        mode: 'conversion-failed',
-        customerId,
-        taskId: internalTaskId,
-        errs: results
-          .map((r, i) =>
-            r.status === 'rejected' ? { index: i, error: r.reason?.message || String(r.reason) } : null
-          )
-          .filter(Boolean),
-      },
-      { headers: bothSecrets(config.worker.callbackSecret), timeout: config.callbackTimeoutMs }
-    );
-    return;
+  let keys = requested;
+  if (segments === true) {
+    // every object next to each playlist (renditions, segments, init files); the Worker checks each URL
+    try {
+      const dirs = [...new Set(requested.map((p) => `${path.posix.dirname(p)}/`))];
+      const listed = (await Promise.all(dirs.map((d) => storage.list(d)))).flat().map((o) => o.key);
+      keys = [...new Set([...requested, ...listed.filter(isSignablePath)])];
+    } catch (e) {
+      log.error('Listing objects to sign failed', { err: e.message });
+      return res.status(502).send('Storage listing failed');
+    }
   }
 
-  await safePost(
-    config.worker.callbackUrl,
-    { mode: 'conversion-complete', customerId, taskId: internalTaskId, finalItems },
-    { headers: bothSecrets(config.worker.callbackSecret), timeout: config.callbackTimeoutMs }
-  );
+  const exp = Date.now() + Math.round(ttl * 1000);
+  const secret = tokenKeys.get(useKid);
+  const items = keys.map((key) => {
+    const token = hmacHex(secret, `${key}.${exp}`);
+    return { path: key, token, url: r2ProxyBase ? workerStyleUrl(r2ProxyBase, key, exp, token, useKid) : null };
+  });
+  res.status(200).send({ kid: useKid, exp, expiresAt: new Date(exp).toISOString(), items });
+});
+
+// checks a token minted here or by the Worker: { url } or { path, exp, token, kid }
+app.post('/verify', verifySecret, (req, res) => {
+  let { url, path: objectPath, exp, token, kid } = req.body || {};
+  if (url != null) {
+    try {
+      const u = new URL(url);
+      const base = config.preview.r2ProxyBase;
+      const basePath = base ? new URL(base).pathname.replace(/\/+$/, '') : '';
+      if (!u.pathname.startsWith(`${basePath}/`)) throw new Error('outside the preview base');
+      objectPath = decodeURIComponent(u.pathname.slice(basePath.length + 1));
+      exp = u.searchParams.get('exp');
+      token = u.searchParams.get('token');
+      kid = u.searchParams.get('kid') ?? undefined;
+    } catch {
+      return res.status(400).send('Bad Request: url is not a preview URL.');
+    }
+  }
+  const reason = verifyPreviewToken({ path: objectPath, exp, token, kid });
+  const expMs = Number(exp);
+  res.status(200).send({
+    valid: !reason,
+    reason,
+    path: objectPath ?? null,
+    kid: kid ?? null,
+    expiresAt: Number.isFinite(expMs) && expMs > 0 ? new Date(expMs).toISOString() : null,
+  });
+});
+
+// removes everything a task wrote under previews/ and keys/ (masters too with ?includeMasters=true)
+app.delete('/previews/:taskId', verifySecret, async (req, res) => {
+  const { taskId } = req.params;
+  const dryRun = req.query.dryRun === 'true';
+  const job = jobStore.get(taskId);
+  if (job && (job.status === 'queued' || job.status === 'running')) {
+    return res.status(409).send('Job is still processing');
+  }
+
+  let objects;
+  try {
+    objects = await listTaskObjects(taskId, { includeMasters: req.query.includeMasters === 'true' });
+  } catch (e) {
+    log.error('Listing task objects failed', { taskId, err: e.message });
+    return res.status(502).send('Storage operation failed');
+  }
+  if (!job && !objects.length) return res.status(404).send('Nothing stored for this task');
+
+  // other tasks' dedup hits play these preview folders; deleting them would break those previews
+  const variantIds = [
+    ...new Set([
+      ...(job ? job.variants.map((v) => `${taskId}-${v.input.index}`) : []),
+      ...objects.map((o) => o.key.split('/')[1]).filter(Boolean),
+    ]),
+  ];
+  const sharedWith = sharedUsersOf(variantIds);
+  if (sharedWith.length && !dryRun) {
+    log.warn('Refusing to delete shared preview folders', { taskId, sharedWith });
+    return res.status(409).send({ status: 'shared', message: 'Previews are reused by other tasks.', sharedWith });
+  }
+  if (!dryRun) {
+    try {
+      await deleteObjects(objects.map((o) => o.key));
+    } catch (e) {
+      log.error('Deleting task objects failed', { taskId, err: e.message });
+      return res.status(502).send('Storage operation failed');
+    }
+    for (const e of variantIds.flatMap(dedupEntriesFor)) await dedupStore.remove(e.key);
+    await forgetDedupUsers(variantIds);
+    if (job) {
+      job.previewsDeletedAt = new Date().toISOString();
+      await jobStore.save(job);
+    }
+  }
+  log.info(dryRun ? 'Task deletion dry run' : 'Task objects deleted', { taskId, objects: objects.length });
+  res.status(200).send({
+    taskId,
+    dryRun,
+    deleted: dryRun ? 0 : objects.length,
+    keys: objects.map((o) => o.key),
+    sharedWith,
+  });
+});
+
+app.get('/admin/queue', verifyAdmin, (_req, res) => {
+  res.status(200).send(jobQueue.snapshot());
+});
+
+// run a sweep now: { dryRun = true, keep?: [taskId | "<taskId>-<index>"] } (keep overrides SWEEP_KEEP_LIST_URL)
+app.post('/admin/sweep', verifyAdmin, async (req, res) => {
+  const { dryRun = true, keep } = req.body || {};
+  if (typeof dryRun !== 'boolean') return res.status(400).send('Bad Request: dryRun must be a boolean.');
+  if (keep != null && !(Array.isArray(keep) && keep.every((k) => typeof k === 'string'))) {
+    return res.status(400).send('Bad Request: keep must be an array of task or variant ids.');
+  }
+  if (sweepInFlight) return res.status(409).send('A sweep is already running');
+  try {
+    res.status(200).send(await runSweep({ dryRun, keep }));
+  } catch (e) {
+    res.status(502).send(`Sweep failed: ${e.message}`);
+  }
+});
+
+app.get('/admin/sweep', verifyAdmin, (_req, res) => {
+  if (!lastSweepReport) return res.status(404).send('No sweep has run yet');
+  res.status(200).send(lastSweepReport);
+});
+
+app.get('/admin/dead-letters', verifyAdmin, (_req, res) => {
+  const items = deadLetterStore.list().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  res.status(200).send({ count: items.length, items });
+});
+
+app.post('/admin/dead-letters/:id/replay', verifyAdmin, async (req, res) => {
+  const dl = deadLetterStore.get(req.params.id);
+  if (!dl) return res.status(404).send('Dead letter not found');
+  const delivered = await replayDeadLetter(dl);
+  res.status(delivered ? 200 : 502).send({ id: dl.id, delivered, lastError: delivered ? null : dl.lastError });
+});
 
-  console.log(`[${internalTaskId}] Successfully processed ${finalItems.length} variant(s) and sent callback.`);
+app.delete('/admin/dead-letters/:id', verifyAdmin, async (req, res) => {
+  if (!deadLetterStore.get(req.params.id)) return res.status(404).send('Dead letter not found');
+  await deadLetterStore.remove(req.params.id);
+  res.status(204).end();
 });
 
 // global error handler
@@ -161,13 +648,23 @@ app.use((err, _req, res, _next) => {
   res.status(code).send(err.message || 'Server error');
 });
 
+const jobQueue = createJobQueue({ concurrency: config.maxConcurrent, maxDepth: config.maxQueueDepth });
+const jobStore = createJsonStore(path.join(config.dataDir, 'jobs'), 'taskId');
+const deadLetterStore = createJsonStore(path.join(config.dataDir, 'dead-letters'), 'id');
+const dedupStore = createJsonStore(path.join(config.dataDir, 'dedup'), 'key');
+await jobStore.load();
+await deadLetterStore.load();
+await dedupStore.load();
+
 const server = app.listen(config.port, () => {
-  console.log(`Dainify Konverteris is running on port ${config.port}`);
+  log.info('Dainify Konverteris is running', { port: config.port });
+  resumeUnfinishedJobs();
+  scheduleSweeps();
 });
 
-// graceful shutdown
-process.on('SIGTERM', () => server.close(() => process.exit(0)));
-process.on('SIGINT', () => server.close(() => process.exit(0)));
+// graceful shutdown: drain, then checkpoint whatever is still running (see shutdown)
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 /* ===================== CORE ===================== */
 
@@ -200,11 +697,423 @@ function pLimit(concurrency = 2) {
     });
 }
 
-async function processVariantSafe(variant, internalTaskId) {
+/* ===================== JOBS ===================== */
+
+// named priorities accepted in /create-preview; higher runs first
+const PRIORITIES = { high: 10, paid: 10, normal: 0, free: -10, low: -10 };
+
+function parsePriority(v) {
+  if (typeof v === 'string' && v in PRIORITIES) return PRIORITIES[v];
+  const n = Number(v);
+  return typeof v !== 'boolean' && v !== '' && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Process-wide variant queue: at most `concurrency` tasks run, the rest wait ordered by
+ * priority (desc) then arrival. `maxDepth` bounds the waiting list (see hasRoomFor).
+ */
+function createJobQueue({ concurrency = 2, maxDepth = 50 } = {}) {
+  const waiting = [];
+  const running = new Set();
+  const recentMs = []; // last run times, for Retry-After estimates
+  let seq = 0;
+
+  const next = () => {
+    while (running.size < concurrency && waiting.length) {
+      const item = waiting.shift();
+      item.startedAt = Date.now();
+      running.add(item);
+      Promise.resolve()
+        .then(item.fn)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          running.delete(item);
+          recentMs.push(Date.now() - item.startedAt);
+          if (recentMs.length > 20) recentMs.shift();
+          next();
+        });
+    }
+  };
+
+  const view = (item) => ({
+    ...item.meta,
+    priority: item.priority,
+    enqueuedAt: new Date(item.enqueuedAt).toISOString(),
+    startedAt: item.startedAt ? new Date(item.startedAt).toISOString() : null,
+  });
+
+  return {
+    push(fn, { priority = 0, ...meta } = {}) {
+      return new Promise((resolve, reject) => {
+        const item = { fn, resolve, reject, priority, meta, seq: seq++, enqueuedAt: Date.now(), startedAt: null };
+        // stable: goes behind everything of equal or higher priority
+        const at = waiting.findIndex((w) => w.priority < priority);
+        waiting.splice(at === -1 ? waiting.length : at, 0, item);
+        next();
+      });
+    },
+    /** Takes the waiting tasks whose meta matches out of the queue, rejecting them with `err`; → how many */
+    remove(match, err) {
+      const dropped = waiting.filter((item) => match(item.meta));
+      for (const item of dropped) {
+        waiting.splice(waiting.indexOf(item), 1);
+        item.reject(err);
+      }
+      return dropped.length;
+    },
+    /** would `n` more tasks fit without the waiting list exceeding maxDepth? */
+    hasRoomFor(n) {
+      const freeSlots = Math.max(0, concurrency - running.size);
+      return waiting.length + Math.max(0, n - freeSlots) <= maxDepth;
+    },
+    retryAfterSeconds() {
+      const avgMs = recentMs.length ? recentMs.reduce((a, b) => a + b, 0) / recentMs.length : 60000;
+      const rounds = Math.ceil((waiting.length + 1) / Math.max(1, concurrency));
+      return Math.min(600, Math.max(5, Math.ceil((avgMs * rounds) / 1000)));
+    },
+    get depth() {
+      return waiting.length;
+    },
+    get active() {
+      return running.size;
+    },
+    snapshot() {
+      return {
+        concurrency,
+        maxDepth,
+        running: [...running].map(view),
+        waiting: waiting.map(view),
+        avgRunMs: recentMs.length ? Math.round(recentMs.reduce((a, b) => a + b, 0) / recentMs.length) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Tiny persistent store: one JSON file per record in `dir`, keyed by record[keyField].
+ *
+ * Job record (<dataDir>/jobs/<taskId>.json):
+ * { taskId, customerId, options: { priority, preview }, status, createdAt, updatedAt,
+ *   callbackSentAt, callbackDeadLetteredAt, cancelRequestedAt,
+ *   variants: [{ position, input, status, error, errorCode, result, startedAt, finishedAt }] }
+ * status: queued | running | succeeded | failed | cancelled (job succeeds if at least one variant does)
+ */
+function createJsonStore(dir, keyField) {
+  const records = new Map();
+  const writes = new Map(); // key -> pending write chain (keeps file writes ordered)
+
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  const enqueue = (key, op) => {
+    const next = (writes.get(key) || Promise.resolve())
+      .then(op)
+      .catch((e) => log.error('Failed to persist record', { key, dir, err: e.message }));
+    writes.set(key, next);
+    return next;
+  };
+
+  return {
+    async load() {
+      await fs.mkdir(dir, { recursive: true });
+      for (const f of await fs.readdir(dir)) {
+        if (!f.endsWith('.json')) continue;
+        try {
+          const rec = JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'));
+          if (rec?.[keyField]) records.set(rec[keyField], rec);
+        } catch (e) {
+          log.warn('Skipping unreadable record file', { file: f, dir, err: e.message });
+        }
+      }
+      log.info('Loaded records', { dir, count: records.size });
+    },
+    get(key) {
+      return records.get(key) || null;
+    },
+    list() {
+      return [...records.values()];
+    },
+    save(rec) {
+      const key = rec[keyField];
+      rec.updatedAt = new Date().toISOString();
+      records.set(key, rec);
+      const file = fileFor(key);
+      const body = JSON.stringify(rec, null, 2);
+      return enqueue(key, async () => {
+        // write-then-rename so a crash never leaves a half-written record
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, body, 'utf8');
+        await fs.rename(tmp, file);
+      });
+    },
+    remove(key) {
+      records.delete(key);
+      return enqueue(key, () => fs.rm(fileFor(key), { force: true }));
+    },
+    /** resolves once every queued write has hit the disk */
+    flush() {
+      return Promise.all(writes.values());
+    },
+  };
+}
+
+function createJob(taskId, customerId, sunoVariants, options = {}) {
+  const now = new Date().toISOString();
+  return {
+    taskId,
+    customerId,
+    options,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    callbackSentAt: null,
+    callbackDeadLetteredAt: null,
+    variants: sunoVariants.map((raw, i) => ({
+      position: i,
+      input: normalizeVariant(raw || {}, i),
+      status: 'queued',
+      error: null,
+      errorCode: null,
+      result: null,
+      startedAt: null,
+      finishedAt: null,
+    })),
+  };
+}
+
+function publicJob(job) {
+  return {
+    taskId: job.taskId,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    callbackSentAt: job.callbackSentAt,
+    callbackDeadLetteredAt: job.callbackDeadLetteredAt,
+    previewsDeletedAt: job.previewsDeletedAt || null,
+    cancelRequestedAt: job.cancelRequestedAt || null,
+    variants: job.variants.map((v) => ({
+      index: v.input.index,
+      title: v.input.title,
+      status: v.status,
+      error: v.error,
+      errorCode: v.errorCode || null,
+      startedAt: v.startedAt,
+      finishedAt: v.finishedAt,
+      progress: v.status === 'running' ? v.progress || null : null,
+      previewR2Path: v.result?.previewR2Path || null,
+    })),
+  };
+}
+
+function runJob(job) {
+  return logContext.run({ taskId: job.taskId }, () => runJobInContext(job));
+}
+
+async function runJobInContext(job) {
+  const internalTaskId = job.taskId;
+  // cancelled before it got here (e.g. while /create-preview was still saving the job): that cancel
+  // request already started the cleanup, which finishCancelledJob runs only once
+  if (job.cancelRequestedAt) return finishCancelledJob(job);
+  const pending = job.variants.filter((v) => v.status !== 'succeeded' && v.status !== 'failed');
+  // registered before the first await, so a cancel request always finds it
+  activeRuns.set(internalTaskId, { controller: new AbortController(), commands: new Set() });
+  log.info('Starting processing', { pending: pending.length, variants: job.variants.length });
+
+  const invalids = pending
+    .filter((v) => !(v.input.audioUrl || v.input.streamUrl))
+    .map((v) => ({ i: v.position, title: v.input.title }));
+  if (invalids.length) {
+    log.warn('Variants missing audioUrl/streamUrl', { invalids });
+  }
+
+  job.status = 'running';
+  await jobStore.save(job);
+
+  const priority = job.options?.priority ?? PRIORITIES.normal;
+  try {
+    await Promise.allSettled(
+      pending.map((v) =>
+        jobQueue.push(() => runJobVariant(job, v), { priority, taskId: internalTaskId, position: v.position })
+      )
+    );
+  } finally {
+    activeRuns.delete(internalTaskId);
+  }
+
+  if (job.cancelRequestedAt) return finishCancelledJob(job);
+  if (job.variants.some((v) => v.status === 'queued')) {
+    // shutdown interrupted it; the job stays "running" and resumeUnfinishedJobs picks it up
+    log.info('Job checkpointed for restart', { queued: job.variants.filter((v) => v.status === 'queued').length });
+    return;
+  }
+
+  const finalItems = job.variants.filter((v) => v.status === 'succeeded').map((v) => v.result);
+  job.status = finalItems.length ? 'succeeded' : 'failed';
+  metrics.jobs.inc({ event: job.status });
+  await jobStore.save(job);
+
+  await sendJobCallback(job);
+}
+
+// the queue starts tasks from whichever context freed the slot, so set the log context here
+function runJobVariant(job, v) {
+  return logContext.run({ taskId: job.taskId, variant: v.input.index }, () => runJobVariantInContext(job, v));
+}
+
+async function runJobVariantInContext(job, v) {
+  const { signal } = activeRuns.get(job.taskId).controller;
+  // cancelled, or draining for shutdown: variants still waiting for a slot don't start
+  if (signal.aborted || shuttingDown) return settleInterrupted(job, v, signal.reason || 'shutdown');
+  v.status = 'running';
+  v.startedAt = new Date().toISOString();
+  await jobStore.save(job);
+  try {
+    const opts = effectivePreviewOptions(jobPreviewOptions(job), previewDefaults());
+    // a per-variant previewStart still wins over the job-level start
+    const variantStart = parsePreviewStart(v.input.previewStart);
+    if (variantStart != null) opts.start = variantStart;
+    v.result = await processVariantSafe(v.input, job.taskId, opts, createProgressReporter(job, v));
+    v.status = 'succeeded';
+    metrics.variants.inc({ result: 'succeeded', code: '' });
+  } catch (e) {
+    if (signal.aborted) return settleInterrupted(job, v, signal.reason);
+    v.status = 'failed';
+    v.error = e?.message || String(e);
+    v.errorCode = failureCodeOf(e);
+    metrics.variants.inc({ result: 'failed', code: v.errorCode });
+  }
+  v.finishedAt = new Date().toISOString();
+  await jobStore.save(job);
+
+  if (config.worker.variantCallbacks) {
+    const event =
+      v.status === 'succeeded'
+        ? { mode: 'variant-complete', item: v.result }
+        : { mode: 'variant-failed', failedItem: failedItemOf(v) };
+    notifyWorker({ ...event, customerId: job.customerId, taskId: job.taskId });
+  }
+}
+
+/** "cancelled" → the variant is done for good; "shutdown" → back to queued so the next start re-runs it */
+async function settleInterrupted(job, v, reason) {
+  if (reason === 'cancelled') {
+    v.status = 'cancelled';
+    v.finishedAt = new Date().toISOString();
+  } else {
+    Object.assign(v, { status: 'queued', startedAt: null, progress: null });
+  }
+  await jobStore.save(job);
+}
+
+/** { index, title, code, error } of a failed variant, as listed in failedItems / variant-failed */
+function failedItemOf(v) {
+  return {
+    index: v.input.index,
+    title: v.input.title,
+    code: v.errorCode || FAILURE_CODES.PROCESSING_FAILED,
+    error: v.error,
+  };
+}
+
+/**
+ * progress(stage, percent) for one variant: kept on the job record (GET /jobs/:taskId) and, with
+ * PROGRESS_CALLBACKS, sent as variant-progress — at most once per interval, plus every stage's 100%.
+ */
+function createProgressReporter(job, v) {
+  let sentAt = 0;
+  let last = null;
+  return (stage, percent) => {
+    const pct = Math.max(0, Math.min(100, Math.floor(percent)));
+    if (last && last.stage === stage && last.percent === pct) return;
+    v.progress = last = { stage, percent: pct };
+    if (!config.worker.progressCallbacks) return;
+    const now = Date.now();
+    if (pct < 100 && now - sentAt < config.worker.progressIntervalMs) return;
+    sentAt = now;
+    const { customerId, taskId } = job;
+    notifyWorker({ mode: 'variant-progress', customerId, taskId, index: v.input.index, stage, percent: pct });
+  };
+}
+
+async function sendJobCallback(job) {
+  const { taskId: internalTaskId, customerId } = job;
+  const finalItems = job.variants.filter((v) => v.status === 'succeeded').map((v) => v.result);
+  const failedItems = job.variants.filter((v) => v.status === 'failed').map(failedItemOf);
+  const options = effectivePreviewOptions(jobPreviewOptions(job), previewDefaults());
+
+  let payload;
+  if (job.status === 'cancelled') {
+    payload = {
+      mode: 'conversion-cancelled',
+      customerId,
+      taskId: internalTaskId,
+      cancelRequestedAt: job.cancelRequestedAt,
+      deletedObjects: job.cancelDeletedObjects ?? 0,
+    };
+  } else if (finalItems.length === 0) {
+    log.error('All variants failed, sending failure callback', { taskId: internalTaskId });
+    payload = {
+      mode: 'conversion-failed',
+      customerId,
+      taskId: internalTaskId,
+      options,
+      failedItems,
+      errs: job.variants
+        .filter((v) => v.status === 'failed')
+        .map((v) => ({ index: v.position, code: v.errorCode || FAILURE_CODES.PROCESSING_FAILED, error: v.error })),
+    };
+  } else {
+    // partial success is still conversion-complete; failedItems says which variants are missing and why
+    payload = {
+      mode: 'conversion-complete',
+      customerId,
+      taskId: internalTaskId,
+      options,
+      finalItems,
+      failedItems,
+      partial: failedItems.length > 0,
+    };
+  }
+
+  const delivered = await deliverCallback(payload, internalTaskId);
+  if (delivered) {
+    job.callbackSentAt = new Date().toISOString();
+    if (finalItems.length) {
+      log.info('Processed variants and sent callback', {
+        taskId: internalTaskId,
+        succeeded: finalItems.length,
+        failed: failedItems.length,
+      });
+    }
+  } else {
+    job.callbackDeadLetteredAt = new Date().toISOString();
+  }
+  await jobStore.save(job);
+}
+
+/** After a restart: re-run whatever was queued/running, or just the callback if that never went out */
+function resumeUnfinishedJobs() {
+  for (const job of jobStore.list()) {
+    if (job.cancelRequestedAt && job.status !== 'cancelled') {
+      log.info('Finishing cancellation interrupted by a restart', { taskId: job.taskId });
+      finishCancelledJob(job).catch((e) => log.error('Cancel cleanup failed', { taskId: job.taskId, err: e.message }));
+    } else if (job.status === 'queued' || job.status === 'running') {
+      log.info('Resuming unfinished job', { taskId: job.taskId });
+      // a variant caught mid-flight has no usable temp dir anymore, so start it over
+      for (const v of job.variants) if (v.status === 'running') v.status = 'queued';
+      runJob(job).catch((e) => log.error('Resumed job crashed', { taskId: job.taskId, err: e?.message || String(e) }));
+    } else if (!job.callbackSentAt && !job.callbackDeadLetteredAt) {
+      log.info('Re-sending callback that was never delivered', { taskId: job.taskId });
+      sendJobCallback(job).catch((e) =>
+        log.error('Callback resend crashed', { taskId: job.taskId, err: e?.message || String(e) })
+      );
+    }
+  }
+}
+
+async function processVariantSafe(variant, internalTaskId, opts, progress) {
   if (!variant || (!variant.audioUrl && !variant.streamUrl)) {
-    throw new Error('Variant missing audioUrl/streamUrl');
+    throw failure(FAILURE_CODES.MISSING_SOURCE_URL, 'Variant missing audioUrl/streamUrl');
   }
-  return processVariant(variant, internalTaskId);
+  return processVariant(variant, internalTaskId, opts, progress);
 }
 
 function normalizeVariant(raw, i = 0) {
@@ -215,33 +1124,96 @@ function normalizeVariant(raw, i = 0) {
     raw.imageUrl || raw.image_url || raw.cover_image_url || raw.cover || raw.thumbnail_url || raw.image || null;
   const title = raw.title || raw.name || raw.track_title || `Song Variant ${i + 1}`;
   const index = typeof raw.index === 'number' ? raw.index : typeof raw.id === 'number' ? raw.id : i;
+  const previewStart = raw.previewStart ?? raw.preview_start ?? null;
 
-  return { audioUrl, streamUrl, imageUrl, title, index };
+  return { audioUrl, streamUrl, imageUrl, title, index, previewStart };
 }
 
-/** Worker-style signing helpers (MATCHES your Worker) */
-function hmacHex(secret, msg) {
-  return crypto.createHmac('sha256', secret).update(msg).digest('hex'); // hex, lowercase
+/** Env defaults for every preview option (see effectivePreviewOptions) */
+function previewDefaults() {
+  return {
+    start: config.preview.start,
+    durationSeconds: config.ffmpegTrimSeconds,
+    segmentSeconds: config.hlsSegmentSeconds,
+    fadeSeconds: config.preview.fadeSeconds,
+    bitratesKbps: config.preview.bitratesKbps,
+    segmentType: config.preview.segmentType,
+    downloadFormats: config.masters.formats,
+    watermark: config.preview.watermark.enabled,
+    encrypt: config.preview.encryption.enabled,
+  };
+}
+
+/** Validated request options of a job (records from before `options.preview` carried flat fields) */
+function jobPreviewOptions(job) {
+  const o = job.options || {};
+  if (o.preview) return o.preview;
+  return { start: parsePreviewStart(o.previewStart) ?? undefined, watermark: o.watermark, encrypt: o.encrypt };
 }
-function buildWorkerStyleSignedUrl(workerPreviewBase, pathWithinPreview, secret, ttlDays) {
+
+/** Worker-style signed URLs (MATCHES your Worker) */
+function buildWorkerStyleSignedUrl(workerPreviewBase, pathWithinPreview, secret, ttlDays, kid = null) {
   // exp in MILLISECONDS; msg = "<path>.<expMs>"; token = hex(HMAC_SHA256(secret, msg))
   const expMs = Date.now() + ttlDays * 24 * 60 * 60 * 1000;
-  const msg = `${pathWithinPreview}.${expMs}`;
-  const token = hmacHex(secret, msg);
+  const token = hmacHex(secret, `${pathWithinPreview}.${expMs}`);
+  return workerStyleUrl(workerPreviewBase, pathWithinPreview, expMs, token, kid);
+}
+
+function workerStyleUrl(workerPreviewBase, pathWithinPreview, expMs, token, kid = null) {
   const u = new URL(workerPreviewBase.replace(/\/+$/, '') + '/' + pathWithinPreview);
   u.searchParams.set('exp', String(expMs));
   u.searchParams.set('token', token);
+  // "default" (the single PREVIEW_TOKEN_SECRET) stays implicit so those URLs look exactly like before
+  if (kid && kid !== 'default') u.searchParams.set('kid', kid);
   return u.toString();
 }
 
-/** Main processing for a variant */
-async function processVariant(variant, internalTaskId) {
+/** Objects /sign may mint URLs for: plain keys under previews/ (never keys/ or masters/) */
+function isSignablePath(p) {
+  return (
+    typeof p === 'string' &&
+    p.length <= 1024 &&
+    p.startsWith('previews/') &&
+    !/[?#\\]/.test(p) &&
+    p.split('/').every((part) => part && part !== '.' && part !== '..')
+  );
+}
+
+/**
+ * Checks a Worker-style token. Without a kid every configured key is tried (links minted before key IDs).
+ * Returns null when valid, otherwise the reason.
+ */
+function verifyPreviewToken({ path: objectPath, exp, token, kid }) {
+  const { tokenKeys } = config.preview;
+  if (!isSignablePath(objectPath)) return 'path must be an object key under previews/';
+  const expMs = Number(exp);
+  if (!Number.isInteger(expMs) || expMs <= 0) return 'exp must be a unix timestamp in milliseconds';
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return 'token must be 64 lowercase hex chars';
+  if (kid != null && !tokenKeys.has(kid)) return `unknown kid "${kid}"`;
+
+  const secrets = kid != null ? [tokenKeys.get(kid)] : [...tokenKeys.values()];
+  const matches = secrets.map((secret) => safeEqual(token, hmacHex(secret, `${objectPath}.${expMs}`)));
+  if (!matches.includes(true)) return 'signature mismatch';
+  if (expMs <= Date.now()) return 'expired';
+  return null;
+}
+
+/**
+ * Main processing for a variant; `opts` is a full effectivePreviewOptions() result,
+ * `progress(stage, percent)` hears download/transcode/upload advance (see createProgressReporter)
+ */
+async function processVariant(
+  variant,
+  internalTaskId,
+  opts = effectivePreviewOptions({}, previewDefaults()),
+  progress = () => {}
+) {
   const variantTaskId = `${internalTaskId}-${variant.index}`;
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `song-${variantTaskId}-`));
   try {
     const inputUrl = variant.audioUrl || variant.streamUrl;
     if (!inputUrl) throw new Error('Invalid URL: both audioUrl and streamUrl are missing.');
-    console.log(`[${variantTaskId}] Downloading from ${inputUrl}`);
+    log.info('Downloading source', { stage: 'download', url: inputUrl });
 
     const hlsOutputPath = path.join(tempDir, 'demo.m3u8');
 
@@ -255,249 +1227,1226 @@ async function processVariant(variant, internalTaskId) {
       }
     }
 
+    let dedup = null; // { key, entry } once the source is fingerprinted
+    const previewOpts = {
+      ...opts,
+      watermark: opts.watermark ? await resolveWatermarkTag() : null,
+      encryption: opts.encrypt ? await prepareHlsEncryption(tempDir, variantTaskId) : null,
+      progress,
+      // called with the downloaded source; a stored render here skips every further ffmpeg pass and upload.
+      // Encrypted renders never take part: their playlists carry their own key and key URL.
+      reuse:
+        config.dedup.enabled && !opts.encrypt
+          ? async (source) => (dedup = await findDuplicate(source, opts, variant)).entry?.render || null
+          : null,
+    };
+    let trimmed;
     if (kind === 'mp3') {
-      await mp3ToTrimmedHls(inputUrl, hlsOutputPath, tempDir, variantTaskId);
+      trimmed = await mp3ToTrimmedHls(inputUrl, hlsOutputPath, tempDir, previewOpts);
     } else {
       try {
-        await hlsToTrimmedHls(inputUrl, hlsOutputPath, tempDir, variantTaskId);
+        trimmed = await hlsToTrimmedHls(inputUrl, hlsOutputPath, tempDir, previewOpts);
       } catch (e) {
         const msg = String(e?.message || e);
         if (/Unexpected content-type for m3u8:\s*audio\/mp3/i.test(msg) || /audio\/mpeg/i.test(msg)) {
-          console.warn(`[${variantTaskId}] HLS looked like MP3 – falling back to MP3 path`);
-          await mp3ToTrimmedHls(inputUrl, hlsOutputPath, tempDir, variantTaskId);
+          log.warn('HLS looked like MP3, falling back to MP3 path');
+          trimmed = await mp3ToTrimmedHls(inputUrl, hlsOutputPath, tempDir, previewOpts);
         } else {
           throw e;
         }
       }
     }
 
-    // upload .m3u8 and .ts
-    console.log(`[${variantTaskId}] Uploading HLS files to R2...`);
-    const filesToUpload = await fs.readdir(tempDir);
-    await uploadFilesToR2(filesToUpload, tempDir, `previews/${variantTaskId}/`);
-
-    const previewR2Path = `previews/${variantTaskId}/demo.m3u8`;
-
-    // Preferred flow: let the Worker sign on-demand.
-    // But if PREVIEW_SOURCE=r2 and you WANT to emit a signed URL here, do it matching Worker logic:
-    let previewUrl = variant.streamUrl || variant.audioUrl || null;
-    if (
-      config.preview.source === 'r2' &&
-      config.preview.r2ProxyBase &&
-      config.preview.tokenSecret &&
-      config.preview.tokenTtlDays > 0
-    ) {
-      previewUrl = buildWorkerStyleSignedUrl(
-        config.preview.r2ProxyBase, // should be ".../preview"
-        previewR2Path,              // path inside /preview/<path>
-        config.preview.tokenSecret,
-        config.preview.tokenTtlDays
-      );
-    } else if (config.preview.source === 'r2') {
-      console.warn(
-        `[${variantTaskId}] PREVIEW_SOURCE=r2 but missing R2_PROXY_BASE or PREVIEW_TOKEN_SECRET → falling back to stream/audio`
-      );
+    // same audio, options, title and cover art: the earlier preview, cover and masters are this item's too
+    if (trimmed.reused) {
+      await recordDuplicateHit(dedup.entry, variantTaskId);
+      log.info('Identical render already stored, reusing it', {
+        deduplicatedFrom: dedup.entry.variantId,
+        previewR2Path: trimmed.reused.previewR2Path,
+      });
+      return renderedItem(variant, variantTaskId, opts, trimmed.reused, { deduplicatedFrom: dedup.entry.variantId });
     }
 
-    return {
-      index: variant.index,
-      title: variant.title,
-      cover: variant.imageUrl || null,
-      fullUrl: variant.audioUrl || null,   // full mp3 if available; Worker will still handle unlock flow
-      previewR2Path,                       // stored by Worker; used to build signed /preview URLs
-      previewUrl,                          // convenience for clients; Worker may override with its own signer
-      taskId: variantTaskId,
+    const waveform = await timed('waveform', () =>
+      generateWaveforms(trimmed.source, hlsOutputPath, tempDir, previewOpts)
+    );
+    const cover = await timed('cover', () => ingestCover(variant.imageUrl, tempDir));
+    const master = await timed('masters', () =>
+      archiveMaster(trimmed.source, variant, cover, tempDir, variantTaskId, opts.downloadFormats)
+    );
+
+    // upload playlists + segments (+ fMP4 init), then waveform, cover, key and masters
+    const uploadStartedAt = Date.now();
+    log.info('Uploading HLS files', { stage: 'upload', backend: storage.name, masters: !!master });
+    const uploads = [
+      [(await fs.readdir(tempDir)).filter(isPreviewOutputFile), tempDir, `previews/${variantTaskId}/`],
+    ];
+    if (waveform) uploads.push([await fs.readdir(waveform.dir), waveform.dir, `previews/${variantTaskId}/waveform/`]);
+    if (cover) uploads.push([Object.keys(cover.files), cover.dir, `previews/${variantTaskId}/cover/`]);
+    if (previewOpts.encryption) {
+      const { keyDir, keyFile, keyR2Prefix } = previewOpts.encryption;
+      uploads.push([[keyFile], keyDir, keyR2Prefix]);
+    }
+    if (master) uploads.push([await fs.readdir(master.dir), master.dir, master.prefix]);
+
+    const totalFiles = uploads.reduce((n, [files]) => n + files.length, 0);
+    let uploadedFiles = 0;
+    progress('upload', 0);
+    for (const [files, dir, prefix] of uploads) {
+      throwIfCancelled();
+      await uploadFiles(files, dir, prefix, () => progress('upload', (++uploadedFiles / totalFiles) * 100));
+    }
+    progress('upload', 100);
+    metrics.stageDuration.observe({ stage: 'upload' }, (Date.now() - uploadStartedAt) / 1000);
+
+    // everything stored for this render; a later identical one reuses it as is (see rememberRender)
+    const render = {
+      previewR2Path: `previews/${variantTaskId}/demo.m3u8`,
+      previewStartSeconds: trimmed.startSeconds,
+      analysis: trimmed.analysis,
+      waveform: waveform ? waveformR2Paths(waveform.files, `previews/${variantTaskId}/waveform/`) : null,
+      coverR2Paths: cover ? coverR2Paths(cover.files, `previews/${variantTaskId}/cover/`) : null,
+      coverBlurhash: cover?.blurhash || null,
+      masterR2Path: master ? `${master.prefix}${master.sourceFile}` : null,
+      downloadR2Paths: master ? master.downloads : null,
+      watermarked: !!previewOpts.watermark,
     };
+    if (dedup) await rememberRender(dedup, variantTaskId, render);
+    return renderedItem(variant, variantTaskId, opts, render, {
+      previewEncrypted: !!previewOpts.encryption,
+      keyR2Path: previewOpts.encryption?.keyR2Path || null,
+    });
   } catch (e) {
-    console.error(`[${variantTaskId}] Failed: ${e.message}`);
+    if (cancelSignal()?.aborted) log.info('Variant interrupted', { reason: cancelSignal().reason });
+    else log.error('Variant failed', { err: e.message, code: failureCodeOf(e) });
     throw e;
   } finally {
     await fs.rm(tempDir, { recursive: true, force: true });
-    console.log(`[${variantTaskId}] Cleaned up temporary files.`);
+    log.debug('Cleaned up temporary files');
+  }
+}
+
+/** Callback item of a variant from its stored render (its own, or the earlier one a dedup hit reuses) */
+function renderedItem(variant, variantTaskId, opts, render, extra = {}) {
+  const { previewEncrypted = false, keyR2Path = null, deduplicatedFrom = null } = extra;
+  return {
+    index: variant.index,
+    title: variant.title,
+    cover: variant.imageUrl || null,     // original (expiring) URL, kept for older Workers
+    coverR2Paths: render.coverR2Paths,
+    coverBlurhash: render.coverBlurhash,
+    fullUrl: variant.audioUrl || null,   // upstream full mp3 (may expire) — prefer the R2 paths below
+    masterR2Path: render.masterR2Path,
+    downloadR2Paths: render.downloadR2Paths,
+    previewR2Path: render.previewR2Path, // stored by Worker; used to build signed /preview URLs
+    previewUrl: previewUrlFor(variant, render.previewR2Path), // convenience; Worker may use its own signer
+    previewStartSeconds: render.previewStartSeconds, // offset of the preview window within the full track
+    analysis: render.analysis,           // source loudness + format (see analyseSource)
+    previewStartMode: opts.start === 'auto' ? 'auto' : 'fixed',
+    previewRenditionsKbps: opts.bitratesKbps,
+    previewSegmentType: opts.segmentType,
+    watermarked: render.watermarked,
+    previewEncrypted,
+    keyR2Path,
+    waveform: render.waveform,
+    taskId: variantTaskId,
+    options: opts,                       // effective preview options this item was rendered with
+    deduplicated: !!deduplicatedFrom,    // true when an earlier identical render was reused as a whole
+    ...(deduplicatedFrom && { deduplicatedFrom }),
+  };
+}
+
+function previewUrlFor(variant, previewR2Path) {
+  // Preferred flow: let the Worker sign on-demand.
+  // But if PREVIEW_SOURCE=r2 and you WANT to emit a signed URL here, do it matching Worker logic:
+  if (
+    config.preview.source === 'r2' &&
+    config.preview.r2ProxyBase &&
+    config.preview.tokenSecret &&
+    config.preview.tokenTtlDays > 0
+  ) {
+    return buildWorkerStyleSignedUrl(
+      config.preview.r2ProxyBase, // should be ".../preview"
+      previewR2Path,              // path inside /preview/<path>
+      config.preview.tokenSecret,
+      config.preview.tokenTtlDays,
+      config.preview.tokenKid
+    );
   }
+  if (config.preview.source === 'r2') {
+    log.warn('PREVIEW_SOURCE=r2 but missing R2_PROXY_BASE or PREVIEW_TOKEN_SECRET, falling back to stream/audio');
+  }
+  return variant.streamUrl || variant.audioUrl || null;
 }
 
 /* ===== MP3 -> 30s HLS ===== */
-async function mp3ToTrimmedHls(mp3Url, hlsOutPath, tempDir, variantTaskId) {
+async function mp3ToTrimmedHls(mp3Url, hlsOutPath, tempDir, previewOpts = {}) {
   const originalFilePath = path.join(tempDir, 'original.mp3');
-  const r = await axios.get(mp3Url, { ...AXIOS_DEFAULTS, responseType: 'arraybuffer' });
-  await fs.writeFile(originalFilePath, r.data);
-  console.log(`[${variantTaskId}] MP3 downloaded (${((r.data?.length ?? 0) / 1024) | 0} KiB).`);
-
-  await new Promise((resolve, reject) => {
-    Ffmpeg(originalFilePath)
-      .setStartTime(0)
-      .duration(config.ffmpegTrimSeconds)
-      .outputOptions([
-        '-f hls',
-        `-hls_time ${config.hlsSegmentSeconds}`,
-        '-hls_list_size 0',
-        '-hls_flags independent_segments',
-        '-preset veryfast',
-        '-movflags +faststart',
-        '-avoid_negative_ts make_zero',
-        '-y',
-        '-hls_segment_type mpegts',
-        '-max_muxing_queue_size 1024',
-        '-hls_segment_filename',
-        path.join(tempDir, 'segment%03d.ts'),
-      ])
+  const onDownload = (received, total) => total && previewOpts.progress?.('download', (received / total) * 100);
+  const bytes = await timed('download', () => downloadToFile(mp3Url, originalFilePath, { onProgress: onDownload }));
+  previewOpts.progress?.('download', 100);
+  log.info('MP3 downloaded', { stage: 'download', bytes });
+  const reused = await previewOpts.reuse?.({ kind: 'file', input: originalFilePath, inputOptions: [] });
+  if (reused) return { reused, source: { kind: 'file', input: originalFilePath, inputOptions: [] } };
+
+  const probe = await timed('validate', () => validateSource(originalFilePath, []));
+  const startSeconds = await timed('window', () =>
+    resolvePreviewStart(originalFilePath, [], previewOpts.start, previewOpts.durationSeconds, probeDuration(probe))
+  );
+  const window = { start: startSeconds, duration: previewOpts.durationSeconds };
+  const analysis = await timed('analyse', () => analyseSource(originalFilePath, [], probe, window));
+  const graph = buildPreviewGraph({ ...previewOpts, loudness: analysis });
+
+  await timed('transcode', () => new Promise((resolve, reject) => {
+    const cmd = jobFfmpeg(originalFilePath).setStartTime(startSeconds);
+    if (graph.tagInput) cmd.input(graph.tagInput);
+    cmd
+      .duration(previewOpts.durationSeconds)
+      .complexFilter(graph.filter)
+      .outputOptions(...hlsPreviewOutputOptions(tempDir, hlsOutPath, graph.outputs, previewOpts))
+      .on('progress', transcodeProgress(previewOpts))
       .on('end', resolve)
-      .on('error', (err) => reject(new Error(`FFmpeg error (MP3->HLS): ${err.message}`)))
-      .save(hlsOutPath);
-  });
+      .on('error', (err) => reject(failure(FAILURE_CODES.TRANSCODE_FAILED, `FFmpeg error (MP3->HLS): ${err.message}`)))
+      .save(renditionPlaylistPattern(hlsOutPath));
+  }));
+  const source = { kind: 'file', input: originalFilePath, inputOptions: [] };
+  return { startSeconds, analysis: publicAnalysis(analysis), source };
 }
 
 /* ===== HLS -> 30s HLS ===== */
-async function hlsToTrimmedHls(hlsUrl, hlsOutPath, tempDir, variantTaskId) {
+async function hlsToTrimmedHls(hlsUrl, hlsOutPath, tempDir, previewOpts = {}) {
   let attempts = 0;
   while (true) {
     try {
-      console.log(`[${variantTaskId}] Preparing local m3u8...`);
-      const { localPath } = await fetchAndPrepareM3U8(hlsUrl, tempDir);
-
-      console.log(`[${variantTaskId}] Transcoding local m3u8 -> trimmed HLS preview...`);
-      await new Promise((resolve, reject) => {
-        Ffmpeg(localPath)
-          .inputOptions([
-            '-protocol_whitelist',
-            'file,http,https,tcp,tls',
-            '-user_agent',
-            AXIOS_DEFAULTS.headers['User-Agent'],
-            '-rw_timeout',
-            '15000000',
-          ])
-          .setStartTime(0)
-          .duration(config.ffmpegTrimSeconds)
-          .outputOptions([
-            '-f hls',
-            `-hls_time ${config.hlsSegmentSeconds}`,
-            '-hls_list_size 0',
-            '-hls_flags independent_segments',
-            '-preset veryfast',
-            '-movflags +faststart',
-            '-avoid_negative_ts make_zero',
-            '-y',
-            '-hls_segment_type mpegts',
-            '-max_muxing_queue_size 1024',
-            '-hls_segment_filename',
-            path.join(tempDir, 'segment%03d.ts'),
-          ])
-          .on('end', resolve)
-          .on('error', (err) => reject(new Error(`FFmpeg HLS error: ${err.message}`)))
-          .save(hlsOutPath);
+      log.info('Preparing local m3u8', { stage: 'download' });
+      // a live source has to list at least this much before trimming makes sense
+      const fixedStart = typeof previewOpts.start === 'number' ? previewOpts.start : 0;
+      const minSeconds = Math.max(fixedStart + previewOpts.durationSeconds, config.validation.minDurationSeconds);
+      const localPath = await timed('download', async () => {
+        const prepared = await fetchAndPrepareM3U8(hlsUrl, tempDir, { minSeconds });
+        // every later pass (probe, window, loudness, transcode, waveform, masters) reads this file
+        return remuxHlsToFile(prepared.localPath, path.join(tempDir, 'source.mka'), {
+          listedSeconds: prepared.listedSeconds,
+          progress: previewOpts.progress,
+        });
       });
-      return;
+      previewOpts.progress?.('download', 100);
+      const reused = await previewOpts.reuse?.({ kind: 'hls', input: localPath, inputOptions: [] });
+      if (reused) return { reused, source: { kind: 'hls', input: localPath, inputOptions: [] } };
+      const probe = await timed('validate', () => validateSource(localPath, []));
+      const startSeconds = await timed('window', () =>
+        resolvePreviewStart(localPath, [], previewOpts.start, previewOpts.durationSeconds, probeDuration(probe))
+      );
+      const window = { start: startSeconds, duration: previewOpts.durationSeconds };
+      const analysis = await timed('analyse', () => analyseSource(localPath, [], probe, window));
+      const graph = buildPreviewGraph({ ...previewOpts, loudness: analysis });
+
+      log.info('Transcoding local HLS copy to trimmed HLS preview', { stage: 'transcode' });
+      await timed('transcode', () => new Promise((resolve, reject) => {
+        const cmd = jobFfmpeg(localPath).setStartTime(startSeconds);
+        if (graph.tagInput) cmd.input(graph.tagInput);
+        cmd
+          .duration(previewOpts.durationSeconds)
+          .complexFilter(graph.filter)
+          .outputOptions(...hlsPreviewOutputOptions(tempDir, hlsOutPath, graph.outputs, previewOpts))
+          .on('progress', transcodeProgress(previewOpts))
+          .on('end', resolve)
+          .on('error', (err) => reject(failure(FAILURE_CODES.TRANSCODE_FAILED, `FFmpeg HLS error: ${err.message}`)))
+          .save(renditionPlaylistPattern(hlsOutPath));
+      }));
+      const source = { kind: 'hls', input: localPath, inputOptions: [] };
+      return { startSeconds, analysis: publicAnalysis(analysis), source };
     } catch (e) {
+      throwIfCancelled();
       attempts++;
-      if (attempts >= 2) throw e;
-      console.warn(`[${variantTaskId}] HLS attempt ${attempts} failed, retrying in 800ms...`, e.message);
+      // a bad (or oversized) source stays bad; only transient (network/ffmpeg) failures get a second attempt
+      if (attempts >= 2 || SOURCE_FAILURES.has(e.failureCode)) throw e;
+      if (e.failureCode === FAILURE_CODES.DOWNLOAD_TOO_LARGE) throw e;
+      log.warn('HLS attempt failed, retrying in 800ms', { attempt: attempts, err: e.message });
       await sleep(800);
     }
   }
 }
 
-/* ===================== HLS/M3U8 PREP ===================== */
+/** fluent-ffmpeg 'progress' handler; its own `percent` is unusable with -t, so use timemark / window */
+function transcodeProgress(previewOpts) {
+  return ({ timemark }) => {
+    const seconds = timemarkSeconds(timemark);
+    if (Number.isFinite(seconds)) previewOpts.progress?.('transcode', (seconds / previewOpts.durationSeconds) * 100);
+  };
+}
 
-async function httpGet(url, opts = {}) {
-  const r = await axios.get(url, { ...AXIOS_DEFAULTS, ...opts });
-  return r;
+/** ffmpeg's "HH:MM:SS.ss" progress timemark → seconds (NaN if absent) */
+function timemarkSeconds(timemark) {
+  const [h, m, sec] = String(timemark || '').split(':').map(Number);
+  return h * 3600 + m * 60 + sec;
 }
 
-async function probeUrlType(url) {
-  try {
-    const r = await axios.head(url, AXIOS_DEFAULTS);
-    const ct = (r.headers['content-type'] || '').toLowerCase();
-    if (ct.includes('mpegurl')) return 'm3u8';
-    if (ct.includes('audio/mp3') || ct.includes('audio/mpeg') || ct === 'application/octet-stream') return 'mp3';
-  } catch {}
+/* ===================== HLS OUTPUT (ABR) ===================== */
+
+// the -var_stream_map argv itself is built by hlsPreviewOutputOptions (lib/hls-output.js)
+
+/* ===================== HLS ENCRYPTION ===================== */
+
+/**
+ * Per-variant AES-128 key + ffmpeg key info file (URI / local key path / IV). The key itself goes to a
+ * private prefix. The URI baked into the uploaded playlists depends on HLS_KEY_URI_MODE:
+ *   signed — the Worker key endpoint signed like buildWorkerStyleSignedUrl. A leaked playlist only
+ *            decrypts while the token is valid, but that also means every copy of the preview stops
+ *            decrypting for good PREVIEW_TOKEN_TTL_DAYS after the render, or once its kid is rotated out;
+ *            re-minting /preview URLs does not help.
+ *   stable — "<HLS_KEY_BASE>/<keys/<id>/preview.key>" without a token. When the Worker serves a rendition
+ *            playlist under a valid /preview token it must rewrite each EXT-X-KEY URI, appending
+ *            exp/token(/kid) for the key path signed with that same exp ("<key path>.<expMs>"), and its
+ *            key endpoint then verifies like /preview. Keys follow playlist access and key rotation.
+ */
+async function prepareHlsEncryption(tempDir, variantTaskId) {
+  const { keyBase, keyPrefix, keyUriMode } = config.preview.encryption;
+  const { tokenSecret, tokenTtlDays, tokenKid } = config.preview;
+  if (!keyBase || (keyUriMode === 'signed' && (!tokenSecret || !(tokenTtlDays > 0)))) {
+    // refuse rather than silently publish unencrypted segments
+    throw new Error(
+      'HLS encryption requested but HLS_KEY_BASE / PREVIEW_TOKEN_SECRET / PREVIEW_TOKEN_TTL_DAYS are missing'
+    );
+  }
+
+  const keyDir = path.join(tempDir, 'keys');
+  await fs.mkdir(keyDir, { recursive: true });
+  const keyFile = 'preview.key';
+  const keyPath = path.join(keyDir, keyFile);
+  const keyR2Prefix = `${keyPrefix}${variantTaskId}/`;
+  const keyR2Path = `${keyR2Prefix}${keyFile}`;
+  await fs.writeFile(keyPath, crypto.randomBytes(16));
+
+  const keyUri =
+    keyUriMode === 'stable'
+      ? new URL(`${keyBase.replace(/\/+$/, '')}/${keyR2Path}`).toString()
+      : buildWorkerStyleSignedUrl(keyBase, keyR2Path, tokenSecret, tokenTtlDays, tokenKid);
+  const iv = crypto.randomBytes(16).toString('hex');
+  const keyInfoPath = path.join(keyDir, 'preview.keyinfo');
+  await fs.writeFile(keyInfoPath, `${keyUri}\n${keyPath}\n${iv}\n`, 'utf8');
+
+  return { keyDir, keyFile, keyPath, keyInfoPath, keyR2Prefix, keyR2Path };
+}
+
+/** Copy of an encrypted rendition playlist whose EXT-X-KEY points at the local key file (for local decoding) */
+async function localDecryptablePlaylist(playlistPath, encryption) {
+  const text = await fs.readFile(playlistPath, 'utf8');
+  const local = text.replace(/(#EXT-X-KEY:[^\n]*URI=")[^"]*(")/g, `$1${encryption.keyPath}$2`);
+  const localPath = playlistPath.replace(/\.m3u8$/, '.local.m3u8');
+  await fs.writeFile(localPath, local, 'utf8');
+  return { input: localPath, inputOptions: ['-allowed_extensions', 'ALL', '-protocol_whitelist', 'file,crypto'] };
+}
+
+/** demo.m3u8 → demo_%v.m3u8 (ffmpeg substitutes the rendition name) */
+function renditionPlaylistPattern(hlsOutPath) {
+  const { dir, name, ext } = path.parse(hlsOutPath);
+  return path.join(dir, `${name}_%v${ext}`);
+}
 
+/** "64,128,192" → [64, 128, 192] (sorted, deduped, positive ints) */
+function parseBitrates(v) {
+  const list = String(v)
+    .split(',')
+    .map((x) => parseInt(x.trim(), 10))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+/* ===================== PREVIEW WINDOW ===================== */
+
+const ANALYSIS_SAMPLE_RATE = 8000;
+const ANALYSIS_HOP_SECONDS = 0.05;
+
+/** "auto" → analyse the decoded audio; a number → use it as-is; analysis errors fall back to 0 */
+async function resolvePreviewStart(input, inputOptions, start, windowSeconds, trackSeconds = null) {
+  if (start !== 'auto') {
+    const fixed = Number(start) || 0;
+    // past the end would encode nothing; keep the full window inside the track instead
+    if (!(trackSeconds > 0) || fixed + windowSeconds <= trackSeconds) return fixed;
+    const clamped = Math.max(0, trackSeconds - windowSeconds);
+    log.warn('Preview start beyond the track, clamped', { stage: 'window', requested: fixed, startSeconds: clamped });
+    return clamped;
+  }
   try {
-    const r = await axios.get(url, {
+    const t0 = Date.now();
+    const rms = await analyseEnergy(input, inputOptions);
+    const startSeconds = pickPreviewWindow(rms, ANALYSIS_HOP_SECONDS, windowSeconds);
+    log.info('Preview window selected', {
+      stage: 'analyse',
+      startSeconds,
+      trackSeconds: Math.round(rms.length * ANALYSIS_HOP_SECONDS),
+      durationMs: Date.now() - t0,
+    });
+    return startSeconds;
+  } catch (e) {
+    log.warn('Window analysis failed, starting at 0s', { stage: 'analyse', err: e.message });
+    return 0;
+  }
+}
+
+/** Decodes to 8 kHz mono PCM and returns the RMS of every ANALYSIS_HOP_SECONDS hop */
+async function analyseEnergy(input, inputOptions = []) {
+  const hopSamples = Math.round(ANALYSIS_SAMPLE_RATE * ANALYSIS_HOP_SECONDS);
+  const rms = [];
+  let sumSq = 0;
+  let count = 0;
+
+  await decodePcm(input, inputOptions, ANALYSIS_SAMPLE_RATE, (sample) => {
+    const x = sample / 32768;
+    sumSq += x * x;
+    if (++count === hopSamples) {
+      rms.push(Math.sqrt(sumSq / count));
+      sumSq = 0;
+      count = 0;
+    }
+  });
+  if (count) rms.push(Math.sqrt(sumSq / count));
+  return rms;
+}
+
+/** Streams the input through ffmpeg as mono s16le at `sampleRate`, calling onSample(int16) for every sample */
+function decodePcm(input, inputOptions, sampleRate, onSample) {
+  let carry = null; // odd byte left over between chunks
+
+  return new Promise((resolve, reject) => {
+    const cmd = jobFfmpeg(input)
+      .inputOptions(inputOptions)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .format('s16le')
+      .on('error', (err) => reject(new Error(`FFmpeg decode error: ${err.message}`)));
+
+    const out = cmd.pipe();
+    out.on('data', (chunk) => {
+      let buf = carry ? Buffer.concat([carry, chunk]) : chunk;
+      carry = buf.length % 2 ? buf.subarray(buf.length - 1) : null;
+      if (carry) buf = buf.subarray(0, buf.length - 1);
+      for (let i = 0; i < buf.length; i += 2) onSample(buf.readInt16LE(i));
+    });
+    out.on('end', resolve);
+    out.on('error', reject);
+  });
+}
+
+/**
+ * Scores every candidate window (0.5s steps) by mean loudness plus onset density
+ * (hops where energy jumps well above its recent average) and returns the best start.
+ */
+function pickPreviewWindow(rms, hopSeconds, windowSeconds) {
+  const winHops = Math.round(windowSeconds / hopSeconds);
+  if (rms.length <= winHops) return 0;
+
+  // onset flags: positive energy flux above mean + 1.5 std
+  const flux = rms.map((x, i) => (i ? Math.max(0, x - rms[i - 1]) : 0));
+  const mean = flux.reduce((a, b) => a + b, 0) / flux.length;
+  const std = Math.sqrt(flux.reduce((a, b) => a + (b - mean) ** 2, 0) / flux.length);
+  const onset = flux.map((f) => (f > mean + 1.5 * std ? 1 : 0));
+
+  // prefix sums so each window is O(1)
+  const pre = (arr) => arr.reduce((acc, x, i) => ((acc[i + 1] = acc[i] + x), acc), [0]);
+  const rmsSum = pre(rms);
+  const onsetSum = pre(onset);
+
+  const step = Math.max(1, Math.round(0.5 / hopSeconds));
+  const candidates = [];
+  for (let s = 0; s + winHops <= rms.length; s += step) {
+    candidates.push({
+      s,
+      energy: (rmsSum[s + winHops] - rmsSum[s]) / winHops,
+      onsets: onsetSum[s + winHops] - onsetSum[s],
+    });
+  }
+  const maxEnergy = Math.max(...candidates.map((c) => c.energy)) || 1;
+  const maxOnsets = Math.max(...candidates.map((c) => c.onsets)) || 1;
+
+  let best = candidates[0];
+  let bestScore = -Infinity;
+  for (const c of candidates) {
+    const score = c.energy / maxEnergy + 0.5 * (c.onsets / maxOnsets);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return Math.round(best.s * hopSeconds * 100) / 100;
+}
+
+function previewFadeFilters(fadeSeconds, durationSeconds) {
+  const fade = Math.min(Number(fadeSeconds) || 0, durationSeconds / 2);
+  if (fade <= 0) return [];
+  return [`afade=t=in:st=0:d=${fade}`, `afade=t=out:st=${Math.max(0, durationSeconds - fade)}:d=${fade}`];
+}
+
+/* ===================== SOURCE VALIDATION ===================== */
+
+/** Explicit code if set, otherwise a best guess from the error shape */
+function failureCodeOf(e) {
+  if (e?.failureCode) return e.failureCode;
+  if (axios.isAxiosError(e)) {
+    return e.code === 'ECONNABORTED' || e.code === 'ETIMEDOUT'
+      ? FAILURE_CODES.DOWNLOAD_TIMEOUT
+      : FAILURE_CODES.DOWNLOAD_FAILED;
+  }
+  if (e?.$metadata) return FAILURE_CODES.UPLOAD_FAILED; // AWS SDK errors
+  return FAILURE_CODES.PROCESSING_FAILED;
+}
+
+/**
+ * Rejects sources that would only produce a useless preview:
+ * not audio (HTML error pages etc.), undecodable, shorter than MIN_SOURCE_SECONDS, or (nearly) silent.
+ * Resolves with the ffprobe result so later stages don't probe again.
+ */
+async function validateSource(input, inputOptions) {
+  const { minDurationSeconds, silenceThresholdDb, maxSilentRatio } = config.validation;
+
+  if (!inputOptions.length) {
+    // local file: catch text bodies (HTML/JSON/XML error pages) before ffprobe guesses at them
+    const fh = await fs.open(input, 'r');
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(64), 0, 64, 0).finally(() => fh.close());
+    const head = buffer.subarray(0, bytesRead).toString('utf8').trimStart().toLowerCase();
+    if (!bytesRead) throw failure(FAILURE_CODES.NOT_AUDIO, 'Source is empty');
+    if (/^(<!doctype|<html|<\?xml|<[a-z]|\{|\[)/.test(head)) {
+      throw failure(FAILURE_CODES.NOT_AUDIO, `Source is not audio (starts with "${head.slice(0, 20)}")`);
+    }
+  }
+
+  let probe;
+  try {
+    probe = await ffprobeAsync(input, inputOptions);
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const code = /invalid data found|could not find codec|unknown format/i.test(msg)
+      ? FAILURE_CODES.NOT_AUDIO
+      : FAILURE_CODES.SOURCE_CORRUPT;
+    throw failure(code, `ffprobe rejected source: ${msg.split('\n').pop() || msg}`);
+  }
+
+  const audio = probe?.streams?.find((st) => st.codec_type === 'audio');
+  if (!audio || !audio.codec_name || !(Number(audio.channels) > 0)) {
+    const format = probe?.format?.format_name || 'unknown';
+    throw failure(FAILURE_CODES.NOT_AUDIO, `No usable audio stream (format ${format})`);
+  }
+
+  const duration = probeDuration(probe) ?? NaN;
+  if (Number.isFinite(duration) && duration < minDurationSeconds) {
+    throw failure(
+      FAILURE_CODES.SOURCE_TOO_SHORT,
+      `Source is ${duration.toFixed(1)}s, minimum is ${minDurationSeconds}s`
+    );
+  }
+
+  const silent = await measureSilence(input, inputOptions, silenceThresholdDb).catch((e) => {
+    // a stream ffprobe accepted but ffmpeg cannot decode end-to-end is corrupt
+    throw failure(FAILURE_CODES.SOURCE_CORRUPT, e.message);
+  });
+  const total = Number.isFinite(duration) && duration > 0 ? duration : silent.decodedSeconds;
+  const ratio = total > 0 ? Math.min(1, silent.silentSeconds / total) : 0;
+  if (ratio >= maxSilentRatio) {
+    throw failure(
+      FAILURE_CODES.SOURCE_SILENT,
+      `Source is ${(ratio * 100).toFixed(0)}% silent (below ${silenceThresholdDb} dB)`
+    );
+  }
+
+  log.info('Source OK', {
+    stage: 'validate',
+    codec: audio.codec_name,
+    channels: audio.channels,
+    durationSeconds: Number.isFinite(duration) ? duration : null,
+    silentRatio: Math.round(ratio * 100) / 100,
+  });
+  return probe;
+}
+
+/** Seconds ffprobe reports for the source (format, else first audio stream), or null */
+function probeDuration(probe) {
+  const audio = probe?.streams?.find((st) => st.codec_type === 'audio');
+  const seconds = Number(probe?.format?.duration ?? audio?.duration);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/** silencedetect over the whole source (8 kHz mono is plenty) → { silentSeconds, decodedSeconds } */
+function measureSilence(input, inputOptions, thresholdDb) {
+  let silentSeconds = 0;
+  let openStart = null;
+  let decodedSeconds = 0;
+
+  return new Promise((resolve, reject) => {
+    jobFfmpeg(input)
+      .inputOptions(inputOptions)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(8000)
+      .audioFilters(`silencedetect=noise=${thresholdDb}dB:d=0.5`)
+      .outputOptions(['-f', 'null'])
+      // parse line by line: a long track can print more events than fluent's stderr ring keeps
+      .on('stderr', (line) => {
+        let m;
+        if ((m = /silence_start:\s*(-?[\d.]+)/.exec(line))) openStart = Number(m[1]);
+        if ((m = /silence_duration:\s*([\d.]+)/.exec(line))) {
+          silentSeconds += Number(m[1]);
+          openStart = null;
+        }
+        if ((m = /time=(\d+):(\d+):([\d.]+)/.exec(line))) {
+          decodedSeconds = Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+        }
+      })
+      .on('end', () => {
+        // silence running to the end of the file never prints silence_end
+        if (openStart != null) silentSeconds += Math.max(0, decodedSeconds - Math.max(0, openStart));
+        resolve({ silentSeconds, decodedSeconds });
+      })
+      .on('error', (err) => reject(new Error(`FFmpeg silencedetect error: ${err.message}`)))
+      .save('-');
+  });
+}
+
+/* ===================== LOUDNESS / SOURCE ANALYSIS ===================== */
+
+/**
+ * ffprobe (format) + loudnorm pass 1, once over the full source (the reported numbers) and once over
+ * `window` ({ start, duration }: exactly what the preview encodes), whose numbers feed pass 2 — the
+ * auto-picked window is the loudest part, so full-track numbers would leave previews too loud.
+ * Never throws: whatever could not be measured is left null and normalization falls back to single-pass.
+ */
+async function analyseSource(input, inputOptions, knownProbe = null, window = null) {
+  const measure = (range) =>
+    measureLoudness(input, inputOptions, range).catch((e) => {
+      log.warn('Loudness measurement failed', { stage: 'analyse', window: !!range, err: e.message });
+      return null;
+    });
+  const { enabled } = config.preview.loudness;
+  const [probe, full, windowed] = await Promise.all([
+    knownProbe ||
+      ffprobeAsync(input, inputOptions).catch((e) => {
+        log.warn('ffprobe failed', { stage: 'analyse', err: e.message });
+        return null;
+      }),
+    enabled ? measure(null) : null,
+    enabled && window ? measure(window) : null,
+  ]);
+  const measured = window ? windowed : full;
+
+  const audio = probe?.streams?.find((st) => st.codec_type === 'audio');
+  const num = (v) => (v == null || v === 'N/A' || !Number.isFinite(Number(v)) ? null : Number(v));
+  return {
+    measured, // raw loudnorm JSON of the preview window, fed back into pass 2
+    integratedLufs: num(full?.input_i), // full track, as reported in `analysis`
+    truePeakDbtp: num(full?.input_tp),
+    lra: num(full?.input_lra),
+    durationSeconds: num(probe?.format?.duration) ?? num(audio?.duration),
+    sampleRate: num(audio?.sample_rate),
+    channels: num(audio?.channels),
+    bitrate: num(audio?.bit_rate) ?? num(probe?.format?.bit_rate),
+    codec: audio?.codec_name || null,
+  };
+}
+
+function publicAnalysis({ measured: _measured, ...rest }) {
+  return rest;
+}
+
+function ffprobeAsync(input, inputOptions = []) {
+  return new Promise((resolve, reject) => {
+    Ffmpeg.ffprobe(input, inputOptions, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+/**
+ * loudnorm pass 1: decode everything (or just `range` = { start, duration }) to null and parse the
+ * JSON block loudnorm prints on stderr
+ */
+function measureLoudness(input, inputOptions = [], range = null) {
+  const { targetLufs, truePeakDb, lra } = config.preview.loudness;
+  return new Promise((resolve, reject) => {
+    const cmd = jobFfmpeg(input).inputOptions(inputOptions);
+    if (range) cmd.setStartTime(range.start).duration(range.duration);
+    cmd
+      .noVideo()
+      .audioFilters(`loudnorm=I=${targetLufs}:TP=${truePeakDb}:LRA=${lra}:print_format=json`)
+      .outputOptions(['-f', 'null'])
+      .on('end', (_stdout, stderr) => {
+        const m = /\{[^{}]*"input_i"[^{}]*\}/s.exec(stderr || '');
+        if (!m) return reject(new Error('loudnorm produced no measurement'));
+        try {
+          resolve(JSON.parse(m[0]));
+        } catch (e) {
+          reject(new Error(`Unparseable loudnorm output: ${e.message}`));
+        }
+      })
+      .on('error', (err) => reject(new Error(`FFmpeg loudnorm error: ${err.message}`)))
+      .save('-');
+  });
+}
+
+/** loudnorm pass 2 (linear, using pass-1 numbers), single-pass when unmeasured, null when disabled */
+function loudnormFilter(analysis) {
+  const { enabled, targetLufs, truePeakDb, lra } = config.preview.loudness;
+  if (!enabled) return null;
+  const base = `loudnorm=I=${targetLufs}:TP=${truePeakDb}:LRA=${lra}`;
+  const m = analysis?.measured;
+  // -inf (digital silence) cannot be used as a measurement
+  const usable = m && [m.input_i, m.input_tp, m.input_lra, m.input_thresh, m.target_offset].every((v) =>
+    Number.isFinite(Number(v))
+  );
+  if (!usable) {
+    return base;
+  }
+  return (
+    `${base}:measured_I=${m.input_i}:measured_TP=${m.input_tp}:measured_LRA=${m.input_lra}` +
+    `:measured_thresh=${m.input_thresh}:offset=${m.target_offset}:linear=true`
+  );
+}
+
+/* ===================== WAVEFORM ===================== */
+
+/**
+ * Peaks JSON + PNG for the preview (highest rendition) and the full source, written to <tempDir>/waveform/.
+ * Best-effort: returns null (and logs) instead of failing the variant.
+ */
+async function generateWaveforms(source, hlsOutPath, tempDir, { bitratesKbps, encryption = null }) {
+  if (!config.waveform.enabled) return null;
+  const dir = path.join(tempDir, 'waveform');
+  const topKbps = bitratesKbps[bitratesKbps.length - 1];
+  const previewPlaylist = renditionPlaylistPattern(hlsOutPath).replace('%v', `${topKbps}k`);
+  const targets = {
+    preview: { input: previewPlaylist, inputOptions: [] },
+    full: source,
+  };
+
+  try {
+    const t0 = Date.now();
+    await fs.mkdir(dir, { recursive: true });
+    if (encryption) targets.preview = await localDecryptablePlaylist(previewPlaylist, encryption);
+    const files = {};
+    for (const [name, { input, inputOptions }] of Object.entries(targets)) {
+      const peaks = await computePeaks(input, inputOptions);
+      await fs.writeFile(path.join(dir, `${name}.json`), JSON.stringify(peaks));
+      await renderWaveformPng(input, inputOptions, path.join(dir, `${name}.png`));
+      files[name] = { peaks: `${name}.json`, image: `${name}.png` };
+    }
+    log.info('Waveforms generated', { stage: 'waveform', durationMs: Date.now() - t0 });
+    return { dir, files };
+  } catch (e) {
+    log.warn('Waveform generation failed (continuing without)', { stage: 'waveform', err: e.message });
+    return null;
+  }
+}
+
+function waveformR2Paths(files, prefix) {
+  return {
+    previewPeaksR2Path: `${prefix}${files.preview.peaks}`,
+    previewImageR2Path: `${prefix}${files.preview.image}`,
+    fullPeaksR2Path: `${prefix}${files.full.peaks}`,
+    fullImageR2Path: `${prefix}${files.full.image}`,
+  };
+}
+
+/** audiowaveform-compatible (version 2, 8-bit, mono) min/max peaks */
+async function computePeaks(input, inputOptions = []) {
+  const { sampleRate, pixelsPerSecond } = config.waveform;
+  const samplesPerPixel = Math.max(1, Math.round(sampleRate / Math.max(1, pixelsPerSecond)));
+  const data = [];
+  let min = 32767;
+  let max = -32768;
+  let count = 0;
+  const flush = () => {
+    // 16-bit → 8-bit like `audiowaveform -b 8`
+    data.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+    min = 32767;
+    max = -32768;
+    count = 0;
+  };
+
+  await decodePcm(input, inputOptions, sampleRate, (sample) => {
+    if (sample < min) min = sample;
+    if (sample > max) max = sample;
+    if (++count === samplesPerPixel) flush();
+  });
+  if (count) flush();
+
+  return {
+    version: 2,
+    channels: 1,
+    sample_rate: sampleRate,
+    samples_per_pixel: samplesPerPixel,
+    bits: 8,
+    length: data.length / 2,
+    data,
+  };
+}
+
+function renderWaveformPng(input, inputOptions, outPath) {
+  const { imageSize, color } = config.waveform;
+  return new Promise((resolve, reject) => {
+    jobFfmpeg(input)
+      .inputOptions(inputOptions)
+      .complexFilter(`[0:a]aformat=channel_layouts=mono,showwavespic=s=${imageSize}:colors=${color}[wave]`)
+      .outputOptions(['-map', '[wave]', '-frames:v', '1', '-y'])
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`FFmpeg waveform image error: ${err.message}`)))
+      .save(outPath);
+  });
+}
+
+/* ===================== COVER ART ===================== */
+
+// magic bytes → extension ffmpeg can demux by name
+const ascii = (b, from, to) => b.subarray(from, to).toString('latin1');
+const IMAGE_SIGNATURES = [
+  { ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'gif', test: (b) => ascii(b, 0, 4) === 'GIF8' },
+  { ext: 'webp', test: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { ext: 'avif', test: (b) => ascii(b, 4, 8) === 'ftyp' && /avi[fs]/.test(ascii(b, 8, 12)) },
+];
+
+/**
+ * Downloads the cover, validates it (magic bytes + ffprobe), writes cover_<size>.webp/.jpg(/.avif)
+ * to <tempDir>/cover/ and computes a blurhash. Best-effort: returns null instead of failing the variant.
+ */
+async function ingestCover(imageUrl, tempDir) {
+  if (!config.cover.enabled || !imageUrl) return null;
+  const dir = path.join(tempDir, 'cover');
+  try {
+    const r = await axios.get(imageUrl, {
       ...AXIOS_DEFAULTS,
+      signal: cancelSignal(),
+      headers: { ...AXIOS_DEFAULTS.headers, Accept: 'image/*' },
       responseType: 'arraybuffer',
-      maxContentLength: 256 * 1024,
+      maxContentLength: config.cover.maxBytes,
     });
-    const ct = (r.headers['content-type'] || '').toLowerCase();
     const buf = Buffer.from(r.data || []);
-    const head = buf.subarray(0, 16).toString('utf8');
-    if (ct.includes('mpegurl') || head.startsWith('#EXTM3U')) return 'm3u8';
-    if (ct.includes('audio/mp3') || ct.includes('audio/mpeg') || ct === 'application/octet-stream') return 'mp3';
-  } catch {}
+    const sig = IMAGE_SIGNATURES.find((s) => s.test(buf));
+    if (!sig) {
+      throw new Error(`Not an image (content-type ${r.headers['content-type'] || 'unknown'}, ${buf.length} bytes)`);
+    }
 
-  return 'mp3';
+    await fs.mkdir(dir, { recursive: true });
+    const srcPath = path.join(tempDir, `cover-source.${sig.ext}`);
+    await fs.writeFile(srcPath, buf);
+
+    const probe = await ffprobeAsync(srcPath);
+    const img = probe?.streams?.find((st) => st.codec_type === 'video');
+    if (!img?.width || !img?.height) throw new Error('Image has no decodable picture');
+
+    const files = {};
+    const formats = [
+      { ext: 'webp', options: ['-c:v', 'libwebp', '-quality', '80'] },
+      { ext: 'jpg', options: ['-q:v', '3'] },
+    ];
+    if (config.cover.avif) {
+      const options = ['-c:v', 'libaom-av1', '-still-picture', '1', '-crf', '32', '-cpu-used', '6'];
+      formats.push({ ext: 'avif', options });
+    }
+    for (const size of config.cover.sizes) {
+      for (const { ext, options } of formats) {
+        const name = `cover_${size}.${ext}`;
+        await resizeImage(srcPath, path.join(dir, name), size, options);
+        files[name] = { size, format: ext };
+      }
+    }
+
+    const blurhash = await computeBlurhash(srcPath).catch((e) => {
+      log.warn('Blurhash failed', { stage: 'cover', err: e.message });
+      return null;
+    });
+    log.info('Cover ingested', {
+      stage: 'cover',
+      width: img.width,
+      height: img.height,
+      format: sig.ext,
+      files: Object.keys(files).length,
+    });
+    return { dir, files, blurhash };
+  } catch (e) {
+    log.warn('Cover ingestion failed (continuing without)', { stage: 'cover', err: e.message });
+    return null;
+  }
 }
 
-function resolveRelative(base, maybeRel) {
+/** → { webp: { 160: 'previews/.../cover_160.webp', ... }, jpg: {...}, avif?: {...} } */
+function coverR2Paths(files, prefix) {
+  const out = {};
+  for (const [name, { size, format }] of Object.entries(files)) {
+    (out[format] ||= {})[size] = `${prefix}${name}`;
+  }
+  return out;
+}
+
+function resizeImage(input, outPath, size, codecOptions) {
+  return new Promise((resolve, reject) => {
+    jobFfmpeg(input)
+      .outputOptions([
+        '-vf',
+        `scale=w='min(${size},iw)':h='min(${size},ih)':force_original_aspect_ratio=decrease`,
+        '-frames:v',
+        '1',
+        ...codecOptions,
+        '-y',
+      ])
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`FFmpeg image error (${path.basename(outPath)}): ${err.message}`)))
+      .save(outPath);
+  });
+}
+
+/** 32x32 RGBA thumbnail → 4x3-component blurhash */
+function computeBlurhash(input) {
+  const w = 32;
+  const h = 32;
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    const out = jobFfmpeg(input)
+      .outputOptions(['-vf', `scale=${w}:${h}`, '-frames:v', '1', '-f', 'rawvideo', '-pix_fmt', 'rgba'])
+      .on('error', (err) => reject(new Error(`FFmpeg blurhash error: ${err.message}`)))
+      .pipe();
+    out.on('data', (c) => chunks.push(c));
+    out.on('end', () => {
+      const pixels = Buffer.concat(chunks);
+      if (pixels.length !== w * h * 4) return reject(new Error(`Unexpected thumbnail size ${pixels.length}`));
+      resolve(encodeBlurhash(new Uint8ClampedArray(pixels), w, h, 4, 3));
+    });
+    out.on('error', reject);
+  });
+}
+
+/* ===================== MASTERS / DOWNLOADS ===================== */
+
+// DOWNLOAD_FORMATS (codec options per format) lives in lib/preview-options.js, next to the option schema
+
+/**
+ * Archives the complete source (MP3 as downloaded, HLS remuxed to .mka without re-encoding) and renders
+ * the configured download formats from that local copy into <tempDir>/masters/.
+ * Archiving the source is required (the unlock flow depends on it); individual download formats are best-effort.
+ * Never applies preview processing (trim, loudnorm, watermark).
+ */
+async function archiveMaster(source, variant, cover, tempDir, variantTaskId, formats = config.masters.formats) {
+  if (!config.masters.enabled) return null;
+  const dir = path.join(tempDir, 'masters');
+  await fs.mkdir(dir, { recursive: true });
+  const prefix = `${config.masters.prefix}${variantTaskId}/`;
+
+  let sourceFile;
+  if (source.kind === 'file') {
+    sourceFile = `source${path.extname(source.input) || '.mp3'}`;
+    await fs.copyFile(source.input, path.join(dir, sourceFile));
+  } else {
+    sourceFile = 'source.mka';
+    await runFfmpeg(source.input, source.inputOptions, path.join(dir, sourceFile), ['-map', '0:a', '-c', 'copy']);
+  }
+  const sourcePath = path.join(dir, sourceFile);
+
+  // largest JPEG thumbnail is the most widely supported embedded picture
+  const coverJpg = cover
+    ? Object.entries(cover.files)
+        .filter(([, f]) => f.format === 'jpg')
+        .sort(([, a], [, b]) => b.size - a.size)
+        .map(([name]) => path.join(cover.dir, name))[0]
+    : null;
+
+  const tags = ['-metadata', `title=${variant.title}`];
+  if (config.masters.artist) tags.push('-metadata', `artist=${config.masters.artist}`);
+
+  const downloads = {};
+  for (const format of formats) {
+    const spec = DOWNLOAD_FORMATS[format];
+    if (!spec) continue;
+    const file = `track.${format}`;
+    try {
+      await renderDownload(sourcePath, path.join(dir, file), spec, tags, coverJpg);
+      downloads[format] = `${prefix}${file}`;
+    } catch (e) {
+      log.warn('Download format failed (skipping)', { stage: 'masters', format, err: e.message });
+    }
+  }
+
+  log.info('Master archived', { stage: 'masters', sourceFile, formats: Object.keys(downloads) });
+  return { dir, prefix, sourceFile, downloads };
+}
+
+function renderDownload(input, outPath, spec, tags, coverJpg) {
+  return new Promise((resolve, reject) => {
+    const cmd = jobFfmpeg(input);
+    const opts = ['-map', '0:a', '-map_metadata', '-1', ...spec.options, ...tags];
+    if (coverJpg && spec.coverArt) {
+      cmd.input(coverJpg);
+      opts.push(
+        '-map', '1:v',
+        '-c:v', 'mjpeg',
+        '-disposition:v', 'attached_pic',
+        '-metadata:s:v', 'title=Album cover',
+        '-metadata:s:v', 'comment=Cover (front)'
+      );
+    }
+    // spread, not an array: fluent-ffmpeg splits array entries with exactly one space ("title=Summer Love")
+    cmd
+      .outputOptions(...opts, '-y')
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`FFmpeg download error (${path.basename(outPath)}): ${err.message}`)))
+      .save(outPath);
+  });
+}
+
+function runFfmpeg(input, inputOptions, outPath, outputOptions) {
+  return new Promise((resolve, reject) => {
+    jobFfmpeg(input)
+      .inputOptions(inputOptions)
+      .outputOptions(...outputOptions, '-y')
+      .on('end', resolve)
+      .on('error', (err) => reject(new Error(`FFmpeg error (${path.basename(outPath)}): ${err.message}`)))
+      .save(outPath);
+  });
+}
+
+/* ===================== PREVIEW GRAPH / WATERMARK ===================== */
+
+/**
+ * Builds the preview -filter_complex: [0:a] → loudnorm (+ ducked watermark tag) → fades → asplit into one
+ * labelled output per rendition. Input 0 is always the music; input 1 is the tag file, if any.
+ * Only the preview pipeline uses this, so full-track outputs can never carry the watermark.
+ */
+function buildPreviewGraph({
+  fadeSeconds,
+  watermark,
+  loudness,
+  bitratesKbps = config.preview.bitratesKbps,
+  durationSeconds = config.ffmpegTrimSeconds,
+} = {}) {
+  const n = bitratesKbps.length;
+  const outputs = bitratesKbps.map((_, i) => `p${i}`);
+  const fades = previewFadeFilters(fadeSeconds, durationSeconds);
+  const norm = loudnormFilter(loudness);
+  // loudnorm runs at 192 kHz internally, so resample back before anything else
+  const chains = [
+    `[0:a]${norm ? `${norm},aresample=44100,` : ''}aformat=sample_rates=44100:channel_layouts=stereo[music]`,
+  ];
+  let mixLabel = 'music';
+
+  if (watermark) {
+    const wm = config.preview.watermark;
+    const interval = Math.max(1, wm.intervalSeconds);
+    const delayMs = Math.round(Math.max(0, wm.offsetSeconds) * 1000);
+    const src = watermark.tagPath ? '[1:a]' : 'sine=frequency=1000:sample_rate=44100:duration=0.6,';
+    chains.push(
+      // tag padded to one interval and looped → a tag every `interval` seconds, starting at `offset`
+      `${src}aformat=sample_rates=44100:channel_layouts=stereo,volume=${wm.volume},` +
+        `apad=whole_dur=${interval},aloop=loop=-1:size=${interval * 44100},` +
+        `atrim=duration=${durationSeconds},adelay=${delayMs}|${delayMs},asplit=2[tagsc][tagmix]`,
+      `[music][tagsc]sidechaincompress=threshold=0.015:ratio=${wm.duckRatio}:attack=15:release=350[ducked]`,
+      // amix halves each input; volume=2 restores the music level
+      '[ducked][tagmix]amix=inputs=2:duration=first:dropout_transition=0,volume=2[mixed]'
+    );
+    mixLabel = 'mixed';
+  }
+
+  const tail = [...fades, `asplit=${n}`].join(',');
+  chains.push(`[${mixLabel}]${tail}${outputs.map((o) => `[${o}]`).join('')}`);
+  return { filter: chains.join(';'), outputs, tagInput: watermark?.tagPath || null };
+}
+
+let watermarkTagCache = null; // { source, promise } — remote tags are downloaded once per process
+
+/** → { tagPath } (tagPath null = generated beep); throws if a configured tag cannot be read */
+async function resolveWatermarkTag() {
+  const source = config.preview.watermark.source;
+  if (!source) return { tagPath: null };
+
+  if (!source.startsWith('r2://')) {
+    await fs.access(source);
+    return { tagPath: source };
+  }
+
+  if (!watermarkTagCache || watermarkTagCache.source !== source) {
+    const promise = (async () => {
+      const key = source.slice('r2://'.length);
+      const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+      const localPath = path.join(os.tmpdir(), `dainify-watermark-${hash}${path.extname(key)}`);
+      await pipeline(await storage.get(key), createWriteStream(localPath));
+      log.info('Watermark tag downloaded', { backend: storage.name, key });
+      return localPath;
+    })();
+    watermarkTagCache = { source, promise };
+    promise.catch(() => (watermarkTagCache = null)); // let the next variant retry
+  }
+  return { tagPath: await watermarkTagCache.promise };
+}
+
+/* ===================== HLS/M3U8 PREP ===================== */
+
+// playlist parsing / rendering (pure) lives in lib/hls-playlist.js; fetching, live waits and remuxing stay here
+
+async function httpGet(url, opts = {}) {
+  const r = await axios.get(url, { ...AXIOS_DEFAULTS, signal: cancelSignal(), ...opts });
+  return r;
+}
+
+/**
+ * Streams a URL to disk with a byte cap and a whole-transfer timeout (memory stays at one chunk).
+ * Resolves with the number of bytes written; a partial file is removed on failure.
+ * `onProgress(bytes, contentLength)` runs per chunk (contentLength 0 when the server didn't say).
+ */
+async function downloadToFile(url, destPath, opts = {}) {
+  const { maxBytes = config.download.maxBytes, timeoutMs = config.download.timeoutMs, onProgress } = opts;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancelled = cancelSignal();
+  const signal = cancelled ? AbortSignal.any([controller.signal, cancelled]) : controller.signal;
+  let bytes = 0;
   try {
-    return new URL(maybeRel, base).toString();
-  } catch {
-    return maybeRel;
-  }
-}
-const isMasterPlaylist = (text) => /#EXT-X-STREAM-INF/i.test(text);
-const isMediaPlaylist = (text) => /#EXTINF:/i.test(text);
-
-function parseVariantsFromMaster(text, baseUrl) {
-  const lines = text.split(/\r?\n/);
-  const variants = [];
-  for (let i = 0; i < lines.length; i++) {
-    const ln = lines[i];
-    if (/^#EXT-X-STREAM-INF/i.test(ln)) {
-      const bwMatch = /BANDWIDTH=(\d+)/i.exec(ln);
-      let nextUrl = null;
-      for (let j = i + 1; j < lines.length; j++) {
-        const cand = lines[j].trim();
-        if (!cand || cand.startsWith('#')) continue;
-        nextUrl = resolveRelative(baseUrl, cand);
-        break;
-      }
-      if (nextUrl) {
-        variants.push({
-          bandwidth: bwMatch ? Number(bwMatch[1]) : 0,
-          url: nextUrl,
-        });
+    const r = await axios.get(url, { ...AXIOS_DEFAULTS, responseType: 'stream', signal });
+    const declared = Number(r.headers['content-length']);
+    if (declared > maxBytes) {
+      r.data.destroy();
+      throw failure(FAILURE_CODES.DOWNLOAD_TOO_LARGE, `Download too large: ${declared} bytes (limit ${maxBytes})`);
+    }
+    r.data.on('data', (chunk) => {
+      bytes += chunk.length;
+      onProgress?.(bytes, declared || 0);
+      if (bytes > maxBytes) {
+        r.data.destroy(failure(FAILURE_CODES.DOWNLOAD_TOO_LARGE, `Download too large: over ${maxBytes} bytes`));
       }
+    });
+    await pipeline(r.data, createWriteStream(destPath));
+    return bytes;
+  } catch (e) {
+    await fs.rm(destPath, { force: true });
+    throwIfCancelled();
+    if (controller.signal.aborted) {
+      const msg = `Download timed out after ${timeoutMs}ms (${bytes} bytes received)`;
+      throw failure(FAILURE_CODES.DOWNLOAD_TIMEOUT, msg);
     }
+    if (e.failureCode || axios.isAxiosError(e)) throw e;
+    // the body stream itself failed (origin dropped the connection: "aborted", ECONNRESET, ...)
+    const msg = `Download failed after ${bytes} bytes: ${e.message}`;
+    throw failure(FAILURE_CODES.DOWNLOAD_FAILED, msg);
+  } finally {
+    clearTimeout(timer);
   }
-  return variants;
 }
 
-function pickMedianVariant(variants) {
-  if (!variants.length) return null;
-  const sorted = variants.slice().sort((a, b) => a.bandwidth - b.bandwidth);
-  return sorted[Math.floor(sorted.length / 2)] || sorted[0];
+/**
+ * Fetches the prepared playlist's audio once, stream-copied into a local Matroska file, under the same
+ * DOWNLOAD_MAX_BYTES / DOWNLOAD_TIMEOUT_MS limits as downloadToFile. Resolves with `outPath`.
+ * Download progress is ffmpeg's position against the playlist's `listedSeconds` (none reported without it).
+ */
+function remuxHlsToFile(playlistPath, outPath, { listedSeconds = 0, progress = null } = {}) {
+  const { maxBytes, timeoutMs } = config.download;
+  const inputOptions = [
+    // crypto: AES-128 sources; allowed_extensions: fMP4/byte-range segments with unusual names
+    '-allowed_extensions',
+    'ALL',
+    '-protocol_whitelist',
+    'file,http,https,tcp,tls,crypto',
+    '-user_agent',
+    AXIOS_DEFAULTS.headers['User-Agent'],
+    '-rw_timeout',
+    '15000000',
+  ];
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const cmd = jobFfmpeg(playlistPath)
+      .inputOptions(inputOptions)
+      // -fs stops writing once the cap is passed; the size check below turns that into a failure
+      .outputOptions(['-map', '0:a:0', '-c', 'copy', '-fs', String(maxBytes)])
+      .on('progress', ({ timemark }) => {
+        const seconds = timemarkSeconds(timemark);
+        if (listedSeconds > 0 && Number.isFinite(seconds)) progress?.('download', (seconds / listedSeconds) * 100);
+      })
+      .on('end', async () => {
+        clearTimeout(timer);
+        try {
+          const { size } = await fs.stat(outPath);
+          if (size >= maxBytes) {
+            throw failure(FAILURE_CODES.DOWNLOAD_TOO_LARGE, `HLS source too large: over ${maxBytes} bytes`);
+          }
+          resolve(outPath);
+        } catch (e) {
+          await fs.rm(outPath, { force: true });
+          reject(e);
+        }
+      })
+      .on('error', async (err) => {
+        clearTimeout(timer);
+        await fs.rm(outPath, { force: true });
+        if (timedOut) reject(failure(FAILURE_CODES.DOWNLOAD_TIMEOUT, `HLS download timed out after ${timeoutMs}ms`));
+        else reject(failure(FAILURE_CODES.DOWNLOAD_FAILED, `FFmpeg HLS download error: ${err.message}`));
+      });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      cmd.kill('SIGKILL');
+    }, timeoutMs);
+    cmd.save(outPath);
+  });
 }
 
-function absolutizePlaylist(text, baseUrl) {
-  const lines = text.split(/\r?\n/);
-  const out = [];
-  for (let i = 0; i < lines.length; i++) {
-    let ln = lines[i];
+async function probeUrlType(url) {
+  try {
+    const r = await axios.head(url, AXIOS_DEFAULTS);
+    const ct = (r.headers['content-type'] || '').toLowerCase();
+    if (ct.includes('mpegurl')) return 'm3u8';
+    if (ct.includes('audio/mp3') || ct.includes('audio/mpeg') || ct === 'application/octet-stream') return 'mp3';
+  } catch {}
 
-    if (/^#EXT-X-KEY/i.test(ln)) {
-      ln = ln.replace(/URI="([^"]+)"/i, (_m, g1) => `URI="${resolveRelative(baseUrl, g1)}"`);
-      out.push(ln);
-      continue;
-    }
+  try {
+    const r = await axios.get(url, {
+      ...AXIOS_DEFAULTS,
+      responseType: 'arraybuffer',
+      maxContentLength: 256 * 1024,
+    });
+    const ct = (r.headers['content-type'] || '').toLowerCase();
+    const buf = Buffer.from(r.data || []);
+    const head = buf.subarray(0, 16).toString('utf8');
+    if (ct.includes('mpegurl') || head.startsWith('#EXTM3U')) return 'm3u8';
+    if (ct.includes('audio/mp3') || ct.includes('audio/mpeg') || ct === 'application/octet-stream') return 'mp3';
+  } catch {}
 
-    if (/^#EXT-X-MAP/i.test(ln)) {
-      ln = ln.replace(/URI="([^"]+)"/i, (_m, g1) => `URI="${resolveRelative(baseUrl, g1)}"`);
-      out.push(ln);
-      continue;
-    }
+  return 'mp3';
+}
 
-    if (ln.startsWith('#') || ln.trim() === '') {
-      out.push(ln);
-    } else {
-      out.push(resolveRelative(baseUrl, ln.trim()));
+/**
+ * VOD (or anything with ENDLIST) is used as listed. Live/EVENT playlists are reloaded every target
+ * duration, merging segments by media sequence, until ENDLIST or `minSeconds` of audio are listed —
+ * and never longer than HLS_LIVE_WAIT_MS. Appending ENDLIST to a playlist that is still growing
+ * would trim whatever happened to be published so far.
+ */
+async function loadMediaPlaylist(url, text, baseUrl, minSeconds) {
+  let pl = parseMediaPlaylist(text, baseUrl);
+  const segments = new Map(pl.segments.map((seg) => [seg.seq, seg]));
+  const listedSeconds = () => [...segments.values()].reduce((sum, seg) => sum + seg.duration, 0);
+  const deadline = Date.now() + config.hlsLiveWaitMs;
+
+  if (!pl.endList && listedSeconds() < minSeconds) {
+    log.info('Live HLS source, waiting for segments', {
+      stage: 'download',
+      playlistType: pl.playlistType || 'live',
+      listedSeconds: listedSeconds(),
+      minSeconds,
+    });
+  }
+  while (!pl.endList && listedSeconds() < minSeconds) {
+    const left = deadline - Date.now();
+    if (left <= 0) {
+      throw failure(
+        FAILURE_CODES.DOWNLOAD_TIMEOUT,
+        `Live playlist listed ${listedSeconds().toFixed(1)}s of ${minSeconds}s after ${config.hlsLiveWaitMs}ms`
+      );
     }
+    await sleep(Math.min(left, Math.max(1, pl.targetDuration) * 1000));
+    const r = await httpGet(url, { responseType: 'text' });
+    pl = parseMediaPlaylist(String(r.data), r.request?.res?.responseUrl || url);
+    for (const seg of pl.segments) if (!segments.has(seg.seq)) segments.set(seg.seq, seg);
   }
-  if (!out.find((l) => /^#EXT-X-ENDLIST/i.test(l))) out.push('#EXT-X-ENDLIST');
-  return out.join('\n');
+
+  const ordered = [...segments.values()].sort((a, b) => a.seq - b.seq);
+  if (!ordered.length) throw failure(FAILURE_CODES.NOT_AUDIO, 'Media playlist lists no segments');
+  return { pl, segments: ordered };
 }
 
-async function fetchAndPrepareM3U8(inputUrl, tempDir) {
+/** Resolves master → audio media playlist, waits out live sources, writes <tempDir>/source.m3u8 (+ its length) */
+async function fetchAndPrepareM3U8(inputUrl, tempDir, { minSeconds = 0 } = {}) {
   const r1 = await httpGet(inputUrl, { responseType: 'text' });
   const ct = (r1.headers['content-type'] || '').toLowerCase();
 
@@ -505,82 +2454,983 @@ async function fetchAndPrepareM3U8(inputUrl, tempDir) {
     throw new Error('Unexpected content-type for m3u8: audio/mp3');
   }
   if (!ct.includes('mpegurl') && !String(r1.data).startsWith('#EXTM3U')) {
-    throw new Error(`Unexpected content-type for m3u8: ${ct || 'unknown'}`);
+    throw failure(FAILURE_CODES.NOT_AUDIO, `Unexpected content-type for m3u8: ${ct || 'unknown'}`);
   }
 
+  let mediaUrl = inputUrl;
   let baseUrl = r1.request?.res?.responseUrl || inputUrl;
-  let text = r1.data;
+  let text = String(r1.data);
 
   if (isMasterPlaylist(text)) {
-    const variants = parseVariantsFromMaster(text, baseUrl);
-    const pick = pickMedianVariant(variants) || variants[0];
-    if (!pick) throw new Error('Master playlist without media variants');
-    const r2 = await httpGet(pick.url, { responseType: 'text' });
-    text = r2.data;
-    baseUrl = r2.request?.res?.responseUrl || pick.url;
+    const pick = pickAudioSource(parseMasterPlaylist(text, baseUrl));
+    if (!pick) throw failure(FAILURE_CODES.NOT_AUDIO, 'Master playlist has no stream with decodable audio');
+    log.info('Picked HLS audio source', { stage: 'download', ...pick, codecs: pick.codecs.join(',') });
+    const r2 = await httpGet(pick.uri, { responseType: 'text' });
+    text = String(r2.data);
+    mediaUrl = pick.uri;
+    baseUrl = r2.request?.res?.responseUrl || pick.uri;
     if (!isMediaPlaylist(text)) {
       throw new Error('Chosen variant is not a MEDIA playlist');
     }
   }
 
-  const abs = absolutizePlaylist(text, baseUrl);
+  const { pl, segments } = await loadMediaPlaylist(mediaUrl, text, baseUrl, minSeconds);
   const localPath = path.join(tempDir, 'source.m3u8');
-  await fs.writeFile(localPath, abs, 'utf8');
-  return { localPath };
+  await fs.writeFile(localPath, renderMediaPlaylist(pl, segments), 'utf8');
+  return { localPath, listedSeconds: segments.reduce((sum, seg) => sum + seg.duration, 0) };
+}
+
+/* ===================== CALLBACKS ===================== */
+
+/**
+ * Signed callback headers. The Worker verifies:
+ *   X-Dainify-Signature == "sha256=" + hex(HMAC_SHA256(secret, "<X-Dainify-Timestamp>.<raw body>"))
+ * Timestamp is unix seconds, so the Worker can also reject stale deliveries.
+ */
+function signedCallbackHeaders(secret, body) {
+  const ts = String(Math.floor(Date.now() / 1000));
+  return {
+    'Content-Type': 'application/json',
+    'X-Dainify-Timestamp': ts,
+    'X-Dainify-Signature': `sha256=${hmacHex(secret, `${ts}.${body}`)}`,
+  };
+}
+
+/** One signed POST; resolves on 2xx, throws with `retryable` set otherwise */
+async function postSignedCallback(url, data) {
+  const body = JSON.stringify(data);
+  try {
+    await axios.post(url, body, {
+      headers: signedCallbackHeaders(config.worker.callbackSecret, body),
+      timeout: config.callbackTimeoutMs,
+      // keep axios from re-serializing: the signature covers these exact bytes
+      transformRequest: [(d) => d],
+    });
+  } catch (e) {
+    const status = e?.response?.status;
+    // network errors, timeouts, 408/429 and 5xx are worth retrying; other 4xx will not fix themselves
+    e.retryable = !status || status === 408 || status === 429 || status >= 500;
+    throw e;
+  }
+}
+
+/**
+ * Delivers a callback with exponential backoff (+ jitter).
+ * Returns true when delivered; otherwise stores a dead letter and returns false.
+ */
+async function deliverCallback(data, taskId) {
+  const { callbackUrl, callbackMaxAttempts, callbackRetryBaseMs, callbackRetryMaxMs } = config.worker;
+  const maxAttempts = Math.max(1, callbackMaxAttempts);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await postSignedCallback(callbackUrl, data);
+      metrics.callbacks.inc({ result: 'delivered' });
+      return true;
+    } catch (e) {
+      lastError = e?.message || String(e);
+      if (attempt < maxAttempts && e.retryable) metrics.callbackRetries.inc();
+      log.warn('Callback attempt failed', { taskId, stage: 'callback', attempt, maxAttempts, err: lastError });
+      if (!e.retryable || attempt === maxAttempts) break;
+      const delay = Math.min(callbackRetryMaxMs, callbackRetryBaseMs * 2 ** (attempt - 1));
+      await sleep(delay / 2 + Math.random() * (delay / 2));
+    }
+  }
+
+  log.error('Callback undeliverable, moving to dead-letter store', { taskId, stage: 'callback' });
+  metrics.callbacks.inc({ result: 'dead_lettered' });
+  await deadLetterStore.save({
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    taskId,
+    url: callbackUrl,
+    payload: data,
+    createdAt: new Date().toISOString(),
+    replayAttempts: 0,
+    lastError,
+  });
+  return false;
+}
+
+/**
+ * Fire-and-forget single attempt for interim events (variant-*, variant-progress): no retries and
+ * no dead letter — the final conversion-* callback carries every item and failure either way.
+ */
+function notifyWorker(data) {
+  postSignedCallback(config.worker.callbackUrl, data).then(
+    () => metrics.callbacks.inc({ result: 'notified' }),
+    (e) => {
+      metrics.callbacks.inc({ result: 'notify_failed' });
+      log.warn('Interim callback not delivered', { stage: 'callback', mode: data.mode, err: e?.message || String(e) });
+    }
+  );
+}
+
+/** Single attempt to re-send a dead letter; removes it and marks the job on success */
+async function replayDeadLetter(dl) {
+  try {
+    await postSignedCallback(config.worker.callbackUrl || dl.url, dl.payload);
+  } catch (e) {
+    dl.replayAttempts = (dl.replayAttempts || 0) + 1;
+    dl.lastError = e?.message || String(e);
+    await deadLetterStore.save(dl);
+    log.warn('Dead letter replay failed', { taskId: dl.taskId, id: dl.id, err: dl.lastError });
+    return false;
+  }
+
+  await deadLetterStore.remove(dl.id);
+  const job = jobStore.get(dl.taskId);
+  if (job) {
+    job.callbackSentAt = new Date().toISOString();
+    job.callbackDeadLetteredAt = null;
+    await jobStore.save(job);
+  }
+  log.info('Dead letter replayed', { taskId: dl.taskId, id: dl.id });
+  return true;
+}
+
+/* ===================== DEDUP ===================== */
+
+/**
+ * Index of finished renders keyed by sha256(source fingerprint + effective options + title/cover art +
+ * output settings). Record (<dataDir>/dedup/<key>.json):
+ * { key, sourceHash, variantId, render, createdAt, lastUsedAt, hits, users: [variantId] }
+ * `render` holds every stored path of the original (preview, waveform, cover, master, downloads), so a hit
+ * runs no ffmpeg pass past fingerprinting and uploads nothing. Its previews/<id>/ and masters/<id>/
+ * folders then belong to all `users` (see sharedUsersOf).
+ */
+async function findDuplicate(source, opts, variant) {
+  const sourceHash = await timed('fingerprint', () =>
+    source.kind === 'file' ? fileSha256(source.input) : pcmFingerprint(source.input, source.inputOptions)
+  );
+  const key = dedupKey(sourceHash, opts, variant);
+  const entry = dedupStore.get(key) || null;
+  log.debug('Source fingerprinted', { stage: 'fingerprint', sourceHash, key, known: !!entry });
+  // the original may have been deleted (DELETE /previews, sweeper) since
+  if (entry && !(await storage.head(entry.render.previewR2Path))) {
+    await dedupStore.remove(key);
+    metrics.dedup.inc({ result: 'miss' });
+    return { key, sourceHash, entry: null };
+  }
+  metrics.dedup.inc({ result: entry ? 'hit' : 'miss' });
+  return { key, sourceHash, entry };
+}
+
+function dedupKey(sourceHash, opts, variant) {
+  const { loudness, watermark } = config.preview;
+  // everything that changes a stored object's bytes (download tags carry title/artist, cover art is
+  // embedded); a settings change simply starts a fresh index
+  const basis = {
+    v: 3,
+    sourceHash,
+    opts,
+    loudness,
+    watermark: opts.watermark ? watermark : null,
+    waveform: config.waveform,
+    title: variant.title,
+    imageUrl: variant.imageUrl || null,
+    cover: config.cover,
+    masters: config.masters,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(basis)).digest('hex');
+}
+
+async function rememberRender({ key, sourceHash }, variantId, render) {
+  const now = new Date().toISOString();
+  await dedupStore.save({
+    key,
+    sourceHash,
+    variantId,
+    render,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0,
+    users: [variantId],
+  });
+}
+
+async function recordDuplicateHit(entry, variantId) {
+  entry.lastUsedAt = new Date().toISOString();
+  entry.hits = (entry.hits || 0) + 1;
+  if (!entry.users.includes(variantId)) entry.users.push(variantId);
+  await dedupStore.save(entry);
+}
+
+function fileSha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(`file:${hash.digest('hex')}`))
+      .on('error', reject);
+  });
+}
+
+/** sha256 of the decoded audio (8 kHz mono s16le) — HLS sources have no single file to hash */
+function pcmFingerprint(input, inputOptions) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const out = jobFfmpeg(input)
+      .inputOptions(inputOptions)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(ANALYSIS_SAMPLE_RATE)
+      .format('s16le')
+      .on('error', (err) => reject(new Error(`FFmpeg fingerprint error: ${err.message}`)))
+      .pipe();
+    out.on('data', (chunk) => hash.update(chunk));
+    out.on('end', () => resolve(`pcm:${hash.digest('hex')}`));
+    out.on('error', reject);
+  });
+}
+
+/** Dedup records whose render lives in `variantId`'s folder */
+function dedupEntriesFor(variantId) {
+  return dedupStore.list().filter((e) => e.variantId === variantId);
+}
+
+/** Variants outside `ownIds` whose preview is one of `ownIds`' folders (deleting those would break them) */
+function sharedUsersOf(ownIds) {
+  const users = ownIds.flatMap(dedupEntriesFor).flatMap((e) => e.users);
+  return [...new Set(users)].filter((u) => !ownIds.includes(u));
+}
+
+/** Drops `variantIds` as users of other folders, so their deletion no longer pins those folders */
+async function forgetDedupUsers(variantIds) {
+  for (const e of dedupStore.list()) {
+    if (!e.users.some((u) => variantIds.includes(u)) || variantIds.includes(e.variantId)) continue;
+    e.users = e.users.filter((u) => !variantIds.includes(u));
+    await dedupStore.save(e);
+  }
+}
+
+/* ===================== RETENTION ===================== */
+
+/**
+ * Objects a task's variants wrote: "<taskId>-<index>/" under previews/ and the key prefix
+ * (+ the masters prefix when asked). Listing "<taskId>-" alone would also catch task "<taskId>-2",
+ * hence the "-<index>/" check.
+ */
+async function listTaskObjects(taskId, { includeMasters = false } = {}) {
+  const roots = ['previews/', config.preview.encryption.keyPrefix];
+  if (includeMasters) roots.push(config.masters.prefix);
+  const escaped = taskId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const own = new RegExp(`^${escaped}-\\d+/`);
+  const lists = await Promise.all(roots.map((root) => storage.list(`${root}${taskId}-`)));
+  return lists.flatMap((objects, i) => objects.filter((o) => own.test(o.key.slice(roots[i].length))));
+}
+
+async function deleteObjects(keys) {
+  const limit = pLimit(8);
+  await Promise.all(keys.map((key) => limit(() => storage.delete(key))));
+}
+
+let sweepInFlight = null;
+let lastSweepReport = null;
+
+/** Single-flight wrapper so the schedule and /admin/sweep never overlap */
+function runSweep(opts) {
+  if (!sweepInFlight) {
+    sweepInFlight = sweepPreviews(opts)
+      .then((report) => (lastSweepReport = report))
+      .finally(() => (sweepInFlight = null));
+  }
+  return sweepInFlight;
+}
+
+/**
+ * Hourly (and at boot): drops finished job records (callback delivered or dead-lettered) and dead letters
+ * not touched for RECORD_RETENTION_DAYS, so DATA_DIR and boot-time loading stay bounded. Objects and the
+ * dedup records pointing at them are the sweeper's job.
+ */
+async function pruneRecords() {
+  const { recordDays } = config.retention;
+  if (!(recordDays > 0)) return { jobs: 0, deadLetters: 0 };
+  const cutoff = Date.now() - recordDays * 24 * 3600 * 1000;
+  const stale = (rec) => new Date(rec.updatedAt || rec.createdAt).getTime() < cutoff;
+  const finished = ['succeeded', 'failed', 'cancelled'];
+
+  const jobs = jobStore
+    .list()
+    .filter((j) => finished.includes(j.status) && (j.callbackSentAt || j.callbackDeadLetteredAt) && stale(j));
+  const deadLetters = deadLetterStore.list().filter(stale);
+  for (const j of jobs) await jobStore.remove(j.taskId);
+  for (const dl of deadLetters) await deadLetterStore.remove(dl.id);
+  if (jobs.length || deadLetters.length) {
+    log.info('Pruned old records', { stage: 'sweep', jobs: jobs.length, deadLetters: deadLetters.length, recordDays });
+  }
+  return { jobs: jobs.length, deadLetters: deadLetters.length };
+}
+
+function scheduleSweeps() {
+  const { sweepEnabled, sweepIntervalMinutes, dryRun } = config.retention;
+  const prune = () =>
+    pruneRecords().catch((e) => log.error('Record pruning failed', { stage: 'sweep', err: e.message }));
+  prune();
+  setInterval(prune, 60 * 60 * 1000).unref();
+  if (!sweepEnabled) return;
+  const run = () =>
+    runSweep({ dryRun }).catch((e) => log.error('Scheduled sweep failed', { stage: 'sweep', err: e.message }));
+  // first pass a minute after boot, so a restart loop doesn't hammer the bucket
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, Math.max(1, sweepIntervalMinutes) * 60 * 1000).unref();
+  log.info('Preview sweeper scheduled', { intervalMinutes: sweepIntervalMinutes, dryRun });
+}
+
+/**
+ * One pass over previews/ and the key prefix, grouped per variant folder ("<taskId>-<index>").
+ * A folder goes when its newest object is older than PREVIEW_RETENTION_DAYS ("expired"), or when a
+ * keep-list is known and lists neither the folder id nor its taskId ("not_kept") — unless it is younger
+ * than SWEEP_GRACE_HOURS. Folders of queued/running jobs are never touched; masters are never swept.
+ * A keep-list that cannot be fetched disables the keep-list rule for this pass (never "keep nothing").
+ */
+async function sweepPreviews({ dryRun = true, keep = null } = {}) {
+  const { days, graceHours } = config.retention;
+  const startedAt = new Date();
+  const now = startedAt.getTime();
+  const keepList = keep ?? (await fetchKeepList());
+  const keepSet = keepList ? new Set(keepList) : null;
+  const busy = new Set(
+    jobStore
+      .list()
+      .filter((j) => j.status === 'queued' || j.status === 'running')
+      .map((j) => j.taskId)
+  );
+
+  const groups = new Map(); // folder id → { objects, newest }
+  let scannedObjects = 0;
+  for (const root of ['previews/', config.preview.encryption.keyPrefix]) {
+    for (const o of await storage.list(root)) {
+      scannedObjects++;
+      const id = o.key.slice(root.length).split('/')[0];
+      if (!id || id === o.key.slice(root.length)) continue; // not inside a folder
+      if (!groups.has(id)) groups.set(id, { objects: [], newest: 0 });
+      const g = groups.get(id);
+      g.objects.push(o);
+      g.newest = Math.max(g.newest, new Date(o.lastModified || 0).getTime());
+    }
+  }
+
+  const taskOf = (variantId) => variantId.replace(/-\d+$/, '');
+  const dedupByFolder = new Map(); // one pass instead of a dedupEntriesFor scan per folder
+  for (const e of dedupStore.list()) dedupByFolder.set(e.variantId, [...(dedupByFolder.get(e.variantId) || []), e]);
+  const candidates = [];
+  for (const [id, g] of groups) {
+    // a folder reused by dedup hits belongs to all of its users and is as fresh as its last reuse
+    const shared = dedupByFolder.get(id) || [];
+    const users = [id, ...shared.flatMap((e) => e.users)];
+    if (users.some((u) => busy.has(taskOf(u)))) continue;
+    const lastUsed = Math.max(g.newest, ...shared.map((e) => new Date(e.lastUsedAt).getTime() || 0));
+    const ageMs = now - lastUsed;
+    const kept = !keepSet || users.some((u) => keepSet.has(u) || keepSet.has(taskOf(u)));
+    let reason = null;
+    if (days > 0 && ageMs > days * 24 * 3600 * 1000) reason = 'expired';
+    else if (!kept && ageMs > graceHours * 3600 * 1000) reason = 'not_kept';
+    if (reason) candidates.push({ id, reason, group: g, shared });
+  }
+
+  let deletedObjects = 0;
+  if (!dryRun) {
+    for (const { reason, group, shared } of candidates) {
+      await deleteObjects(group.objects.map((o) => o.key));
+      for (const e of shared) await dedupStore.remove(e.key);
+      deletedObjects += group.objects.length;
+      metrics.sweptObjects.inc({ reason }, group.objects.length);
+    }
+    // records whose folder is already gone (deleted outside the worker) would otherwise stay forever
+    for (const [id, entries] of dedupByFolder) {
+      if (groups.has(id) || busy.has(taskOf(id))) continue;
+      for (const e of entries) await dedupStore.remove(e.key);
+    }
+  }
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    retentionDays: days,
+    keepListSize: keepSet ? keepSet.size : null,
+    scannedObjects,
+    folders: groups.size,
+    deletedObjects,
+    candidates: candidates.map(({ id, reason, group }) => ({
+      id,
+      reason,
+      objects: group.objects.length,
+      bytes: group.objects.reduce((sum, o) => sum + (o.size || 0), 0),
+      newest: group.newest ? new Date(group.newest).toISOString() : null,
+    })),
+  };
+  log.info(dryRun ? 'Sweep dry run finished' : 'Sweep finished', {
+    stage: 'sweep',
+    folders: groups.size,
+    candidates: candidates.length,
+    deletedObjects,
+  });
+  return report;
+}
+
+/** Keep-list from the Worker, or null when none is configured / it could not be fetched */
+async function fetchKeepList() {
+  const { keepListUrl } = config.retention;
+  if (!keepListUrl) return null;
+  try {
+    const { data } = await axios.get(keepListUrl, {
+      timeout: config.callbackTimeoutMs,
+      headers: signedCallbackHeaders(config.worker.callbackSecret, ''),
+    });
+    const list = Array.isArray(data) ? data : data?.keep;
+    if (!Array.isArray(list)) throw new Error('expected a JSON array or { keep: [...] }');
+    return list.map(String);
+  } catch (e) {
+    log.warn('Keep-list unavailable, sweeping by age only', { stage: 'sweep', err: e.message });
+    return null;
+  }
+}
+
+/* ===================== CANCELLATION / SHUTDOWN ===================== */
+
+// taskId → { controller, commands } while runJobInContext is awaiting the job's variants
+const activeRuns = new Map();
+let shuttingDown = false;
+
+/** Abort signal of the job the caller runs for (via logContext), if any */
+function cancelSignal() {
+  return activeRuns.get(logContext.getStore()?.taskId)?.controller.signal;
+}
+
+function throwIfCancelled() {
+  const signal = cancelSignal();
+  if (signal?.aborted) {
+    const msg = signal.reason === 'cancelled' ? 'Job cancelled' : 'Interrupted by shutdown';
+    throw failure(FAILURE_CODES.CANCELLED, msg);
+  }
+}
+
+/** Ffmpeg(input) registered with the current job, so abortJob can kill it mid-run */
+function jobFfmpeg(input) {
+  throwIfCancelled();
+  const cmd = Ffmpeg(input);
+  const run = activeRuns.get(logContext.getStore()?.taskId);
+  if (run) {
+    run.commands.add(cmd);
+    const forget = () => run.commands.delete(cmd);
+    cmd.on('end', forget).on('error', forget);
+  }
+  return cmd;
+}
+
+/**
+ * reason "cancelled" (POST /jobs/:taskId/cancel) or "shutdown". In-flight axios requests abort via
+ * cancelSignal(), running ffmpeg processes are killed; each variant's own finally removes its temp dir.
+ * A cancel also takes the job's variants still waiting for a slot out of the queue (finishCancelledJob
+ * marks them cancelled); on shutdown they stay queued and are checkpointed as they come up.
+ */
+function abortJob(taskId, reason) {
+  const run = activeRuns.get(taskId);
+  if (!run || run.controller.signal.aborted) return;
+  run.controller.abort(reason);
+  const dequeued =
+    reason === 'cancelled'
+      ? jobQueue.remove((meta) => meta.taskId === taskId, failure(FAILURE_CODES.CANCELLED, 'Job cancelled'))
+      : 0;
+  for (const cmd of run.commands) cmd.kill('SIGKILL');
+  log.info('Job aborted', { taskId, reason, killed: run.commands.size, dequeued });
+}
+
+const cancelCleanups = new Map(); // taskId → in-flight finishCancelledJob
+
+/**
+ * After every variant stopped: delete what the task uploaded (masters included), then conversion-cancelled.
+ * Preview and master folders another task's dedup hit already uses stay (and stay indexed).
+ * Runs once per job: concurrent calls share the cleanup, later ones find the job cancelled.
+ */
+function finishCancelledJob(job) {
+  if (job.status === 'cancelled') return Promise.resolve();
+  if (!cancelCleanups.has(job.taskId)) {
+    const cleanup = cleanUpCancelledJob(job).finally(() => cancelCleanups.delete(job.taskId));
+    cancelCleanups.set(job.taskId, cleanup);
+  }
+  return cancelCleanups.get(job.taskId);
+}
+
+async function cleanUpCancelledJob(job) {
+  const variantIds = job.variants.map((v) => `${job.taskId}-${v.input.index}`);
+  const keep = variantIds.filter((id) => sharedUsersOf([id]).some((u) => !variantIds.includes(u)));
+  const objects = (await listTaskObjects(job.taskId, { includeMasters: true })).filter(
+    (o) => !keep.some((id) => o.key.startsWith(`previews/${id}/`) || o.key.startsWith(`${config.masters.prefix}${id}/`))
+  );
+  await deleteObjects(objects.map((o) => o.key));
+  for (const e of variantIds.filter((id) => !keep.includes(id)).flatMap(dedupEntriesFor)) {
+    await dedupStore.remove(e.key);
+  }
+  await forgetDedupUsers(variantIds);
+  if (keep.length) log.info('Kept folders shared with other tasks', { taskId: job.taskId, keep });
+
+  for (const v of job.variants) {
+    if (v.status !== 'failed') Object.assign(v, { status: 'cancelled', progress: null });
+  }
+  job.status = 'cancelled';
+  job.cancelDeletedObjects = objects.length;
+  metrics.jobs.inc({ event: 'cancelled' });
+  await jobStore.save(job);
+  log.info('Job cancelled', { taskId: job.taskId, deletedObjects: objects.length });
+  await sendJobCallback(job);
+}
+
+/**
+ * Stop accepting requests and starting variants, give running ones SHUTDOWN_GRACE_MS to finish, then
+ * kill them. Interrupted variants go back to "queued" on disk (checkpoint) and are re-run on the next
+ * start by resumeUnfinishedJobs; finished jobs still send their callbacks meanwhile.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('Shutting down, draining running variants', { signal, jobs: activeRuns.size, active: jobQueue.active });
+  server.close();
+
+  const drained = await waitUntil(() => activeRuns.size === 0, config.shutdownGraceMs);
+  if (!drained) {
+    log.warn('Grace period over, checkpointing unfinished jobs', { jobs: [...activeRuns.keys()] });
+    for (const taskId of activeRuns.keys()) abortJob(taskId, 'shutdown');
+    await waitUntil(() => activeRuns.size === 0, 5000);
+  }
+  await Promise.all([jobStore.flush(), deadLetterStore.flush(), dedupStore.flush()]);
+  process.exit(0);
+}
+
+async function waitUntil(predicate, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() >= deadline) return false;
+    await sleep(200);
+  }
+  return true;
+}
+
+/* ===================== LOGGING / METRICS ===================== */
+
+/**
+ * Leveled logger. "json" writes one object per line: { ts, level, msg, taskId, variant, stage, ... };
+ * taskId/variant come from logContext (set around each job/variant), explicit fields win.
+ */
+function createLogger({ level = 'info', format = 'json' } = {}) {
+  const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+  const min = levels[level] ?? levels.info;
+
+  const write = (lvl, msg, fields = {}) => {
+    if (levels[lvl] < min) return;
+    const entry = { ts: new Date().toISOString(), level: lvl, msg, ...logContext.getStore(), ...fields };
+    const out = lvl === 'error' || lvl === 'warn' ? console.error : console.log;
+    if (format !== 'text') return out(JSON.stringify(entry));
+    const { ts, level: _l, msg: _m, taskId, variant, ...rest } = entry;
+    const tag = taskId ? ` [${taskId}${variant != null ? `-${variant}` : ''}]` : '';
+    const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+    out(`${ts} ${lvl.toUpperCase()}${tag} ${msg}${extra.length ? ` ${extra.join(' ')}` : ''}`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
+
+/** Runs fn and records its duration under dainify_stage_duration_seconds{stage} (also when it throws) */
+async function timed(stage, fn) {
+  const t0 = Date.now();
+  try {
+    return await fn();
+  } finally {
+    metrics.stageDuration.observe({ stage }, (Date.now() - t0) / 1000);
+  }
+}
+
+/**
+ * Minimal Prometheus registry (text exposition format 0.0.4): counters, gauges (read at scrape
+ * time via collect) and histograms, each with optional labels.
+ */
+function createMetricsRegistry() {
+  const families = [];
+  const fmtLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, '\\$&')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  };
+  const family = (name, help, type, lines) => families.push({ name, help, type, lines });
+
+  return {
+    counter(name, help) {
+      const values = new Map();
+      family(name, help, 'counter', () =>
+        [...values].map(([k, v]) => `${name}${fmtLabels(JSON.parse(k))} ${v}`)
+      );
+      return {
+        inc(labels = {}, by = 1) {
+          const k = JSON.stringify(labels);
+          values.set(k, (values.get(k) || 0) + by);
+        },
+      };
+    },
+    gauge(name, help, collect) {
+      family(name, help, 'gauge', () => [`${name} ${Number(collect())}`]);
+    },
+    histogram(name, help, buckets) {
+      const series = new Map();
+      family(name, help, 'histogram', () =>
+        [...series].flatMap(([k, h]) => {
+          const labels = JSON.parse(k);
+          return [
+            ...buckets.map((le, i) => `${name}_bucket${fmtLabels({ ...labels, le })} ${h.counts[i]}`),
+            `${name}_bucket${fmtLabels({ ...labels, le: '+Inf' })} ${h.count}`,
+            `${name}_sum${fmtLabels(labels)} ${h.sum}`,
+            `${name}_count${fmtLabels(labels)} ${h.count}`,
+          ];
+        })
+      );
+      return {
+        observe(labels, value) {
+          const k = JSON.stringify(labels);
+          if (!series.has(k)) series.set(k, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          const h = series.get(k);
+          buckets.forEach((le, i) => value <= le && h.counts[i]++);
+          h.sum += value;
+          h.count++;
+        },
+      };
+    },
+    render() {
+      return (
+        families
+          .map(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()])
+          .flat()
+          .join('\n') + '\n'
+      );
+    },
+  };
+}
+
+function createMetrics() {
+  const registry = createMetricsRegistry();
+  registry.gauge('dainify_queue_depth', 'Variants waiting for a slot', () => jobQueue.depth);
+  registry.gauge('dainify_queue_active', 'Variants being processed', () => jobQueue.active);
+  return {
+    registry,
+    // event: accepted | duplicate | rejected | succeeded | failed
+    jobs: registry.counter('dainify_jobs_total', 'Preview jobs by lifecycle event'),
+    // result: succeeded | failed; code: FAILURE_CODES entry for failures
+    variants: registry.counter('dainify_variants_total', 'Processed variants by result and failure code'),
+    stageDuration: registry.histogram(
+      'dainify_stage_duration_seconds',
+      'Time spent per processing stage',
+      [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+    ),
+    uploadBytes: registry.counter('dainify_upload_bytes_total', 'Bytes written to object storage'),
+    // result: delivered | dead_lettered
+    callbacks: registry.counter('dainify_callbacks_total', 'Worker callbacks by outcome'),
+    callbackRetries: registry.counter('dainify_callback_retries_total', 'Callback attempts that were retried'),
+    // result: hit | miss
+    dedup: registry.counter('dainify_dedup_lookups_total', 'Source fingerprint lookups in the dedup index'),
+    // reason: expired | not_kept
+    sweptObjects: registry.counter('dainify_swept_objects_total', 'Objects deleted by the retention sweeper'),
+  };
+}
+
+/**
+ * Readiness: ffmpeg runs and storage answers. Results are cached for READINESS_CACHE_MS so frequent
+ * probes don't spawn a process / hit the bucket every time.
+ */
+const READINESS_CACHE_MS = 10000;
+let readinessCache = null;
+
+async function checkReadiness() {
+  if (readinessCache && Date.now() - readinessCache.at < READINESS_CACHE_MS) return readinessCache.result;
+
+  const check = async (fn) => {
+    try {
+      await withTimeout(fn(), 5000);
+      return { ok: true };
+    } catch (e) {
+      return { ok: false, error: e?.message || String(e) };
+    }
+  };
+  const [ffmpeg, storageCheck] = await Promise.all([
+    check(() => execFileAsync(ffmpegStatic, ['-version'], { timeout: 5000 })),
+    // a missing object is fine; only auth/network errors fail the probe
+    check(() => storage.head('.readiness-probe')),
+  ]);
+  const checks = { ffmpeg, storage: storageCheck };
+  const result = { ready: Object.values(checks).every((c) => c.ok), checks };
+  readinessCache = { at: Date.now(), result };
+  return result;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/* ===================== STORAGE ===================== */
+
+/**
+ * Storage adapter interface (all keys are bucket-relative, e.g. "previews/<id>/demo.m3u8"):
+ *   put(key, filePath, { contentType })  → streams a local file up
+ *   get(key)                             → Readable
+ *   head(key)                            → { size, contentType, lastModified } | null
+ *   delete(key)                          → removes the object (missing is fine)
+ *   list(prefix)                         → [{ key, size, lastModified }]
+ */
+function createStorage(cfg) {
+  switch (cfg.storageBackend) {
+    case 'local':
+      return createLocalStorage(cfg.localStorage.dir || path.join(cfg.dataDir, 'storage'));
+    case 's3':
+      return createS3Storage('s3', cfg.s3.bucketName, {
+        region: cfg.s3.region,
+        endpoint: cfg.s3.endpoint || undefined,
+        forcePathStyle: cfg.s3.forcePathStyle,
+        credentials: { accessKeyId: cfg.s3.accessKeyId, secretAccessKey: cfg.s3.secretAccessKey },
+      });
+    default:
+      return createS3Storage('r2', cfg.r2.bucketName, {
+        region: 'auto',
+        endpoint: `https://${cfg.r2.accountId}.r2.cloudflarestorage.com`,
+        credentials: { accessKeyId: cfg.r2.accessKeyId, secretAccessKey: cfg.r2.secretAccessKey },
+      });
+  }
+}
+
+function createS3Storage(name, bucket, clientConfig) {
+  const client = new S3Client(clientConfig);
+  const isNotFound = (e) => e?.name === 'NotFound' || e?.name === 'NoSuchKey' || e?.$metadata?.httpStatusCode === 404;
+
+  return {
+    name,
+    async put(key, filePath, { contentType } = {}) {
+      const { size } = await fs.stat(filePath);
+      const params = { Bucket: bucket, Key: key, Body: createReadStream(filePath), ContentType: contentType };
+      if (size < config.upload.partSizeBytes) {
+        // small files: single streamed PUT (ContentLength lets the SDK skip buffering)
+        await client.send(new PutObjectCommand({ ...params, ContentLength: size }));
+        return;
+      }
+      await new Upload({
+        client,
+        params,
+        partSize: config.upload.partSizeBytes,
+        queueSize: config.upload.queueSize,
+      }).done();
+    },
+    async get(key) {
+      const obj = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return obj.Body;
+    },
+    async head(key) {
+      try {
+        const r = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          size: r.ContentLength ?? null,
+          contentType: r.ContentType || null,
+          lastModified: r.LastModified || null,
+        };
+      } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+      }
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async list(prefix) {
+      const out = [];
+      let token;
+      do {
+        const r = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token })
+        );
+        for (const o of r.Contents || []) out.push({ key: o.Key, size: o.Size, lastModified: o.LastModified });
+        token = r.IsTruncated ? r.NextContinuationToken : undefined;
+      } while (token);
+      return out;
+    },
+  };
+}
+
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+  const fileFor = (key) => {
+    const p = path.resolve(root, key);
+    if (!p.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return p;
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const files = [];
+    for (const ent of entries) {
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) files.push(...(await walk(full)));
+      else if (ent.isFile()) files.push(full);
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+    root,
+    async put(key, filePath) {
+      const dest = fileFor(key);
+      await fs.mkdir(path.dirname(dest), { recursive: true });
+      await pipeline(createReadStream(filePath), createWriteStream(dest));
+    },
+    async get(key) {
+      const p = fileFor(key);
+      await fs.access(p);
+      return createReadStream(p);
+    },
+    async head(key) {
+      try {
+        const st = await fs.stat(fileFor(key));
+        return {
+          size: st.size,
+          contentType: UPLOAD_CONTENT_TYPES[path.extname(key)] || null,
+          lastModified: st.mtime,
+        };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async list(prefix = '') {
+      // walk from the deepest directory the prefix names, then filter by the full prefix
+      const dir = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+      const start = dir && dir !== '.' ? fileFor(dir.replace(/\/+$/, '')) : root;
+      const out = [];
+      for (const full of await walk(start)) {
+        const key = path.relative(root, full).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const st = await fs.stat(full);
+        out.push({ key, size: st.size, lastModified: st.mtime });
+      }
+      return out;
+    },
+  };
 }
 
 /* ===================== HELPERS ===================== */
 
-async function uploadFilesToR2(files, baseDir, prefix) {
+const UPLOAD_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.avif': 'image/avif',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.mka': 'audio/x-matroska',
+  '.key': 'application/octet-stream',
+};
+
+/** HLS outputs in the variant temp dir (not the downloaded source or the local source.m3u8) */
+function isPreviewOutputFile(f) {
+  if (f === 'source.m3u8' || f.endsWith('.local.m3u8')) return false;
+  return ['.m3u8', '.ts', '.m4s', '.mp4'].includes(path.extname(f));
+}
+
+async function uploadFiles(files, baseDir, prefix, onUploaded = () => {}) {
   const limit = pLimit(4);
   await Promise.all(
     files
-      .filter((f) => f.endsWith('.m3u8') || f.endsWith('.ts'))
+      .filter((f) => UPLOAD_CONTENT_TYPES[path.extname(f)])
       .map((file) =>
         limit(async () => {
           const filePath = path.join(baseDir, file);
-          const buf = await fs.readFile(filePath);
-          const key = `${prefix}${file}`;
-          const ct = file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t';
-          await s3Client.send(
-            new PutObjectCommand({
-              Bucket: config.r2.bucketName,
-              Key: key,
-              Body: buf,
-              ContentType: ct,
-            })
-          );
+          await storage.put(`${prefix}${file}`, filePath, { contentType: UPLOAD_CONTENT_TYPES[path.extname(file)] });
+          metrics.uploadBytes.inc({}, (await fs.stat(filePath)).size);
+          onUploaded(file);
         })
       )
   );
 }
 
-async function safePost(url, data, opts = {}) {
-  try {
-    await axios.post(url, data, { ...opts });
-  } catch (e) {
-    console.error('Callback POST failed:', e?.message || e);
-  }
-}
-
-function bothSecrets(secret) {
-  return { 'X-Webhook-Secret': secret, 'x-webhook-secret': secret };
-}
-
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
 function validateEnv(cfg) {
   const miss = [];
-  if (!cfg.r2.accountId) miss.push('R2_ACCOUNT_ID');
-  if (!cfg.r2.accessKeyId) miss.push('R2_ACCESS_KEY_ID');
-  if (!cfg.r2.secretAccessKey) miss.push('R2_SECRET_ACCESS_KEY');
-  if (!cfg.r2.bucketName) miss.push('R2_BUCKET_NAME');
+  if (cfg.storageBackend === 'r2') {
+    if (!cfg.r2.accountId) miss.push('R2_ACCOUNT_ID');
+    if (!cfg.r2.accessKeyId) miss.push('R2_ACCESS_KEY_ID');
+    if (!cfg.r2.secretAccessKey) miss.push('R2_SECRET_ACCESS_KEY');
+    if (!cfg.r2.bucketName) miss.push('R2_BUCKET_NAME');
+  } else if (cfg.storageBackend === 's3') {
+    if (!cfg.s3.accessKeyId) miss.push('S3_ACCESS_KEY_ID');
+    if (!cfg.s3.secretAccessKey) miss.push('S3_SECRET_ACCESS_KEY');
+    if (!cfg.s3.bucketName) miss.push('S3_BUCKET_NAME');
+  } else if (cfg.storageBackend !== 'local') {
+    log.warn(`STORAGE_BACKEND="${cfg.storageBackend}" is not r2|s3|local → using r2`);
+    cfg.storageBackend = 'r2';
+    return validateEnv(cfg);
+  }
   if (!cfg.worker.callbackUrl) miss.push('WORKER_CALLBACK_URL');
   if (!cfg.worker.callbackSecret) miss.push('WORKER_CALLBACK_SECRET');
-  if (!cfg.webhookSecret) miss.push('WEBHOOK_SECRET');
-  if (miss.length) console.warn('⚠️ Missing env vars:', miss.join(', '));
+  if (!cfg.requestAuth.keys.size) miss.push('WEBHOOK_SIGNING_KEYS (or WEBHOOK_SECRET)');
+  if (miss.length) log.warn('Missing env vars', { vars: miss });
+  if (!cfg.adminSecret) log.info('ADMIN_SECRET not set → /admin routes are disabled');
+  if (cfg.requestAuth.allowStaticSecret) {
+    log.warn('WEBHOOK_ALLOW_STATIC_SECRET=true → unsigned x-webhook-secret requests are accepted (deprecated)');
+  }
+
+  if (!['mpegts', 'fmp4'].includes(cfg.preview.segmentType)) {
+    log.warn(`PREVIEW_SEGMENT_TYPE="${cfg.preview.segmentType}" is not mpegts|fmp4 → using mpegts`);
+    cfg.preview.segmentType = 'mpegts';
+  }
+  const unknownFormats = cfg.masters.formats.filter((f) => !['mp3', 'm4a', 'flac', 'ogg'].includes(f));
+  if (unknownFormats.length) {
+    log.warn('DOWNLOAD_FORMATS has unsupported entries (ignored)', { formats: unknownFormats });
+  }
+  if (!cfg.preview.bitratesKbps.length) {
+    log.warn('PREVIEW_BITRATES has no valid entries → using 128');
+    cfg.preview.bitratesKbps = [128];
+  }
+
+  // minting key: PREVIEW_TOKEN_KID, else "default" (PREVIEW_TOKEN_SECRET), else the first PREVIEW_TOKEN_KEYS entry
+  const { tokenKeys } = cfg.preview;
+  if (cfg.preview.tokenKid && !tokenKeys.has(cfg.preview.tokenKid)) {
+    log.warn(`PREVIEW_TOKEN_KID="${cfg.preview.tokenKid}" is not in PREVIEW_TOKEN_KEYS → using the default key`);
+    cfg.preview.tokenKid = '';
+  }
+  if (!cfg.preview.tokenKid) {
+    cfg.preview.tokenKid = tokenKeys.has('default') ? 'default' : [...tokenKeys.keys()][0] || '';
+  }
+  cfg.preview.tokenSecret = tokenKeys.get(cfg.preview.tokenKid);
+
+  const { enabled: encrypt, keyBase, keyUriMode } = cfg.preview.encryption;
+  if (keyUriMode === 'signed' && encrypt) {
+    log.warn('HLS_KEY_URI_MODE=signed: encrypted previews stop decrypting PREVIEW_TOKEN_TTL_DAYS after render');
+  }
+  if (encrypt && (!keyBase || (keyUriMode === 'signed' && !cfg.preview.tokenSecret))) {
+    log.warn('HLS_ENCRYPTION=true needs HLS_KEY_BASE (+ PREVIEW_TOKEN_SECRET when signed); variants will fail');
+  }
 
   if (cfg.preview.source === 'r2') {
     const missPrev = [];
@@ -588,11 +3438,11 @@ function validateEnv(cfg) {
     if (!cfg.preview.tokenSecret) missPrev.push('PREVIEW_TOKEN_SECRET');
     if (!cfg.preview.tokenTtlDays) missPrev.push('PREVIEW_TOKEN_TTL_DAYS');
     if (missPrev.length) {
-      console.warn('⚠️ Missing R2 preview env vars (r2 mode):', missPrev.join(', '));
+      log.warn('Missing R2 preview env vars (r2 mode)', { vars: missPrev });
     } else {
-      console.log('R2 preview mode is ON (private R2 via signed Worker URLs).');
+      log.info('R2 preview mode is ON (private R2 via signed Worker URLs)');
     }
   } else {
-    console.log('Preview source set to "stream" (Suno stream URLs).');
+    log.info('Preview source set to "stream" (Suno stream URLs)');
   }
 }
@@ -0,0 +1,33 @@
+/** Machine-readable failure reasons, sent as `code` in conversion-failed `errs` */
+export const FAILURE_CODES = {
+  MISSING_SOURCE_URL: 'MISSING_SOURCE_URL',
+  DOWNLOAD_FAILED: 'DOWNLOAD_FAILED',
+  DOWNLOAD_TIMEOUT: 'DOWNLOAD_TIMEOUT',
+  DOWNLOAD_TOO_LARGE: 'DOWNLOAD_TOO_LARGE',
+  NOT_AUDIO: 'NOT_AUDIO',
+  SOURCE_CORRUPT: 'SOURCE_CORRUPT',
+  SOURCE_TOO_SHORT: 'SOURCE_TOO_SHORT',
+  SOURCE_SILENT: 'SOURCE_SILENT',
+  // DRM / SAMPLE-AES HLS (plain AES-128 is fine)
+  SOURCE_ENCRYPTED: 'SOURCE_ENCRYPTED',
+  TRANSCODE_FAILED: 'TRANSCODE_FAILED',
+  UPLOAD_FAILED: 'UPLOAD_FAILED',
+  PROCESSING_FAILED: 'PROCESSING_FAILED',
+  // POST /jobs/:taskId/cancel or shutdown interrupted the variant (never sent as a variant failure)
+  CANCELLED: 'CANCELLED',
+};
+
+// problems with the source itself — regenerating the track (not retrying) is the fix
+export const SOURCE_FAILURES = new Set([
+  FAILURE_CODES.NOT_AUDIO,
+  FAILURE_CODES.SOURCE_CORRUPT,
+  FAILURE_CODES.SOURCE_TOO_SHORT,
+  FAILURE_CODES.SOURCE_SILENT,
+  FAILURE_CODES.SOURCE_ENCRYPTED,
+]);
+
+export function failure(code, message) {
+  const err = new Error(message);
+  err.failureCode = code;
+  return err;
+}
@@ -0,0 +1,51 @@
+/** ffmpeg output arguments for the multi-rendition HLS preview */
+
+import path from 'path';
+
+/**
+ * One ffmpeg run → N AAC renditions via -var_stream_map.
+ * hlsOutPath (demo.m3u8) becomes the master playlist (ffmpeg fills BANDWIDTH/CODECS);
+ * renditions are demo_<kbps>k.m3u8 with seg_<kbps>k_NNN.ts|.m4s next to it (flat, one prefix).
+ * One argv entry per element: pass it spread (`.outputOptions(...opts)`), since fluent-ffmpeg splits array
+ * entries with exactly one space — which a two-rendition -var_stream_map value has.
+ */
+export function hlsPreviewOutputOptions(tempDir, hlsOutPath, outputs, previewOpts) {
+  const { bitratesKbps: bitrates, segmentType, segmentSeconds, encryption } = previewOpts;
+  const fmp4 = segmentType === 'fmp4';
+  const opts = [];
+
+  outputs.forEach((label) => opts.push('-map', `[${label}]`));
+  opts.push('-c:a', 'aac', '-ac', '2', '-ar', '44100');
+  bitrates.forEach((kbps, i) => opts.push(`-b:a:${i}`, `${kbps}k`));
+
+  opts.push(
+    '-f',
+    'hls',
+    '-hls_time',
+    String(segmentSeconds),
+    '-hls_list_size',
+    '0',
+    '-hls_playlist_type',
+    'vod',
+    '-hls_flags',
+    'independent_segments',
+    '-avoid_negative_ts',
+    'make_zero',
+    '-y',
+    '-max_muxing_queue_size',
+    '1024',
+    '-var_stream_map',
+    bitrates.map((kbps, i) => `a:${i},name:${kbps}k`).join(' '),
+    '-master_pl_name',
+    path.basename(hlsOutPath)
+  );
+
+  if (fmp4) {
+    opts.push('-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', 'init_%v.mp4');
+  } else {
+    opts.push('-hls_segment_type', 'mpegts');
+  }
+  opts.push('-hls_segment_filename', path.join(tempDir, `seg_%v_%03d.${fmp4 ? 'm4s' : 'ts'}`));
+  if (encryption) opts.push('-hls_key_info_file', encryption.keyInfoPath);
+  return opts;
+}
@@ -0,0 +1,230 @@
+/** HLS master/media playlist parsing, audio source choice and frozen-VOD rendering (no I/O) */
+
+import { FAILURE_CODES, failure } from './failures.js';
+
+export function resolveRelative(base, maybeRel) {
+  try {
+    return new URL(maybeRel, base).toString();
+  } catch {
+    return maybeRel;
+  }
+}
+export const isMasterPlaylist = (text) => /#EXT-X-STREAM-INF/i.test(text);
+// a live playlist that just started may not list any segment yet
+export const isMediaPlaylist = (text) => /#EXTINF:|#EXT-X-TARGETDURATION/i.test(text);
+
+/** `KEY=VALUE,KEY="quoted, value"` → { KEY: value } (quotes stripped, keys upper-cased) */
+export function parseAttributes(list) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/gi;
+  let m;
+  while ((m = re.exec(list))) attrs[m[1].toUpperCase()] = m[2].startsWith('"') ? m[2].slice(1, -1) : m[2];
+  return attrs;
+}
+
+const tagValue = (line) => line.slice(line.indexOf(':') + 1);
+
+/** Rewrites every URI="..." of a tag line (KEY, MAP, MEDIA, ...) against baseUrl */
+function absolutizeTagUris(line, baseUrl) {
+  return line.replace(/URI="([^"]+)"/gi, (_m, uri) => `URI="${resolveRelative(baseUrl, uri)}"`);
+}
+
+/**
+ * Master playlist →
+ *   variants: [{ uri, bandwidth, codecs: ['mp4a.40.2', ...], audioGroup }]   (EXT-X-STREAM-INF)
+ *   audio:    [{ groupId, name, uri, isDefault, autoselect, channels }]      (EXT-X-MEDIA TYPE=AUDIO)
+ * An audio rendition without URI means the audio is muxed into the variant streams.
+ */
+export function parseMasterPlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const variants = [];
+  const audio = [];
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    if (/^#EXT-X-MEDIA:/i.test(ln)) {
+      const a = parseAttributes(tagValue(ln));
+      if (String(a.TYPE).toUpperCase() !== 'AUDIO') continue;
+      audio.push({
+        groupId: a['GROUP-ID'] || null,
+        name: a.NAME || '',
+        uri: a.URI ? resolveRelative(baseUrl, a.URI) : null,
+        isDefault: a.DEFAULT === 'YES',
+        autoselect: a.AUTOSELECT === 'YES',
+        channels: parseInt(a.CHANNELS, 10) || null,
+      });
+    } else if (/^#EXT-X-STREAM-INF:/i.test(ln)) {
+      const a = parseAttributes(tagValue(ln));
+      let uri = null;
+      for (let j = i + 1; j < lines.length && !/^#EXT-X-STREAM-INF/i.test(lines[j]); j++) {
+        if (lines[j] && !lines[j].startsWith('#')) {
+          uri = lines[j];
+          break;
+        }
+      }
+      if (!uri) continue;
+      variants.push({
+        uri: resolveRelative(baseUrl, uri),
+        bandwidth: Number(a['AVERAGE-BANDWIDTH'] || a.BANDWIDTH) || 0,
+        codecs: String(a.CODECS || '')
+          .split(',')
+          .map((c) => c.trim().toLowerCase())
+          .filter(Boolean),
+        audioGroup: a.AUDIO || null,
+      });
+    }
+  }
+  return { variants, audio };
+}
+
+// audio codecs ffmpeg decodes, best first (AAC-LC is what Suno and most CDNs serve)
+const AUDIO_CODEC_RANK = [/^mp4a\.40\.2$/, /^mp4a\./, /^(mp3|opus|flac|alac)$/, /^(ac-3|ec-3)$/];
+const VIDEO_CODEC = /^(avc|hvc|hev|vp0?[89]|av01|mp4v|dvh|dva)/;
+
+/** Lower is better; CODECS-less variants come after known codecs, Infinity = nothing decodable */
+function audioCodecRank(codecs) {
+  if (!codecs.length) return AUDIO_CODEC_RANK.length;
+  const ranks = codecs.map((c) => AUDIO_CODEC_RANK.findIndex((re) => re.test(c))).filter((r) => r >= 0);
+  return ranks.length ? Math.min(...ranks) : Infinity;
+}
+
+/**
+ * Where the audio lives: prefers variants with the best decodable audio codec, audio-only over muxed
+ * video, then the median bandwidth among those. If that variant names an AUDIO group whose renditions
+ * have their own playlists, the DEFAULT (then AUTOSELECT, then stereo) rendition is used instead.
+ * → { uri, kind: 'variant' | 'rendition', bandwidth, codecs } or null
+ */
+export function pickAudioSource({ variants, audio }) {
+  const withAudio = audio.filter((r) => r.uri);
+  const ranked = variants
+    .map((v) => ({ v, rank: audioCodecRank(v.codecs), video: v.codecs.some((c) => VIDEO_CODEC.test(c)) }))
+    .filter((x) => x.rank !== Infinity);
+
+  if (!ranked.length) {
+    const r = pickAudioRendition(withAudio);
+    return r ? { uri: r.uri, kind: 'rendition', bandwidth: 0, codecs: [] } : null;
+  }
+
+  const best = ranked.reduce((a, b) => (b.rank < a.rank || (b.rank === a.rank && a.video && !b.video) ? b : a));
+  const pool = ranked.filter((x) => x.rank === best.rank && x.video === best.video).map((x) => x.v);
+  const variant = pickMedianVariant(pool);
+
+  const rendition = variant.audioGroup && pickAudioRendition(withAudio.filter((r) => r.groupId === variant.audioGroup));
+  if (rendition) return { uri: rendition.uri, kind: 'rendition', bandwidth: variant.bandwidth, codecs: variant.codecs };
+  return { uri: variant.uri, kind: 'variant', bandwidth: variant.bandwidth, codecs: variant.codecs };
+}
+
+function pickAudioRendition(renditions) {
+  const score = (r) => (r.isDefault ? 4 : 0) + (r.autoselect ? 2 : 0) + (r.channels === 2 ? 1 : 0);
+  return renditions.slice().sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+function pickMedianVariant(variants) {
+  if (!variants.length) return null;
+  const sorted = variants.slice().sort((a, b) => a.bandwidth - b.bandwidth);
+  return sorted[Math.floor(sorted.length / 2)] || sorted[0];
+}
+
+/**
+ * Media playlist → { version, targetDuration, playlistType, endList, independent, segments }.
+ * Every segment carries what applies to it (absolute URI, duration, explicit byte range, the KEY and
+ * MAP lines in effect, discontinuity, media sequence number), so segments from several reloads of a
+ * live playlist can be merged and re-rendered. Only clear and AES-128 segments are accepted.
+ */
+export function parseMediaPlaylist(text, baseUrl) {
+  const pl = { version: 3, targetDuration: 10, playlistType: null, endList: false, independent: false, segments: [] };
+  let mediaSequence = 0;
+  let key = null;
+  let map = null;
+  let pending = {};
+  const rangeEnd = new Map(); // uri → end of its last sub-range (BYTERANGE without @offset continues there)
+
+  for (const raw of text.split(/\r?\n/)) {
+    const ln = raw.trim();
+    if (!ln) continue;
+
+    if (!ln.startsWith('#')) {
+      if (pending.duration == null) continue;
+      const uri = resolveRelative(baseUrl, ln);
+      let byteRange = null;
+      if (pending.byteRange) {
+        const [length, offset] = pending.byteRange.split('@').map(Number);
+        const start = Number.isFinite(offset) ? offset : rangeEnd.get(uri) ?? 0;
+        byteRange = { length, offset: start };
+        rangeEnd.set(uri, start + length);
+      }
+      pl.segments.push({
+        seq: mediaSequence + pl.segments.length,
+        uri,
+        duration: pending.duration,
+        title: pending.title,
+        byteRange,
+        key,
+        map,
+        discontinuity: !!pending.discontinuity,
+      });
+      pending = {};
+      continue;
+    }
+
+    const tag = ln.split(':', 1)[0].toUpperCase();
+    const value = tagValue(ln);
+    if (tag === '#EXT-X-VERSION') pl.version = parseInt(value, 10) || pl.version;
+    else if (tag === '#EXT-X-TARGETDURATION') pl.targetDuration = Number(value) || pl.targetDuration;
+    else if (tag === '#EXT-X-MEDIA-SEQUENCE') mediaSequence = parseInt(value, 10) || 0;
+    else if (tag === '#EXT-X-PLAYLIST-TYPE') pl.playlistType = value.trim().toUpperCase();
+    else if (tag === '#EXT-X-ENDLIST') pl.endList = true;
+    else if (tag === '#EXT-X-INDEPENDENT-SEGMENTS') pl.independent = true;
+    else if (tag === '#EXT-X-DISCONTINUITY') pending.discontinuity = true;
+    else if (tag === '#EXT-X-BYTERANGE') pending.byteRange = value.trim();
+    else if (tag === '#EXTINF') {
+      const comma = value.indexOf(',');
+      pending.duration = parseFloat(comma === -1 ? value : value.slice(0, comma)) || 0;
+      pending.title = comma === -1 ? '' : value.slice(comma + 1);
+    } else if (tag === '#EXT-X-MAP') {
+      map = absolutizeTagUris(ln, baseUrl);
+    } else if (tag === '#EXT-X-KEY') {
+      const method = String(parseAttributes(value).METHOD || '').toUpperCase();
+      if (method === 'NONE') key = null;
+      else if (method === 'AES-128') key = absolutizeTagUris(ln, baseUrl);
+      // SAMPLE-AES / DRM key systems: ffmpeg can't decrypt them
+      else throw failure(FAILURE_CODES.SOURCE_ENCRYPTED, `Unsupported HLS encryption: METHOD=${method || '?'}`);
+    }
+  }
+  return pl;
+}
+
+/**
+ * Frozen VOD copy of `segments` for ffmpeg: absolute URIs, explicit byte ranges, and an explicit IV on
+ * IV-less AES-128 keys (the implicit IV is the media sequence number, which a merged live copy
+ * can't keep contiguous). Gaps in the sequence become discontinuities.
+ */
+export function renderMediaPlaylist(pl, segments) {
+  const needs = segments.some((s) => s.map) ? 6 : segments.some((s) => s.byteRange) ? 4 : 3;
+  const out = [
+    '#EXTM3U',
+    `#EXT-X-VERSION:${Math.max(pl.version, needs)}`,
+    `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(pl.targetDuration, ...segments.map((s) => s.duration)))}`,
+    `#EXT-X-MEDIA-SEQUENCE:${segments[0]?.seq ?? 0}`,
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+  ];
+  if (pl.independent) out.push('#EXT-X-INDEPENDENT-SEGMENTS');
+
+  let key = null;
+  let map = null;
+  let prevSeq = null;
+  for (const seg of segments) {
+    if (seg.discontinuity || (prevSeq != null && seg.seq !== prevSeq + 1)) out.push('#EXT-X-DISCONTINUITY');
+    const iv = `IV=0x${seg.seq.toString(16).padStart(32, '0')}`;
+    const keyLine = seg.key && !/\bIV=/i.test(seg.key) ? `${seg.key},${iv}` : seg.key;
+    if (keyLine !== key) out.push(keyLine || '#EXT-X-KEY:METHOD=NONE');
+    key = keyLine;
+    if (seg.map && seg.map !== map) out.push(seg.map);
+    map = seg.map;
+    out.push(`#EXTINF:${seg.duration},${seg.title || ''}`);
+    if (seg.byteRange) out.push(`#EXT-X-BYTERANGE:${seg.byteRange.length}@${seg.byteRange.offset}`);
+    out.push(seg.uri);
+    prevSeq = seg.seq;
+  }
+  out.push('#EXT-X-ENDLIST');
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,78 @@
+/** Per-request preview options: schema, validation, env-default fallback, and the download formats */
+
+export const DOWNLOAD_FORMATS = {
+  mp3: { options: ['-c:a', 'libmp3lame', '-b:a', '320k', '-id3v2_version', '3'], coverArt: true },
+  m4a: { options: ['-c:a', 'aac', '-b:a', '256k', '-movflags', '+faststart'], coverArt: true },
+  flac: { options: ['-c:a', 'flac', '-compression_level', '8'], coverArt: true },
+  // the ogg muxer cannot embed pictures; Vorbis comments only
+  ogg: { options: ['-c:a', 'libvorbis', '-q:a', '6'], coverArt: false },
+};
+
+/** "auto" | seconds (>= 0) | null when the value is not usable */
+export function parsePreviewStart(v) {
+  if (v == null || v === '') return null;
+  if (String(v).toLowerCase() === 'auto') return 'auto';
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Schema for the optional `options` object on /create-preview. Each entry's parse returns the
+ * normalized value, or null when the value is invalid (→ 400 with `hint`). Omitted fields fall back
+ * to the env defaults in effectivePreviewOptions.
+ */
+const PREVIEW_OPTION_SCHEMA = {
+  start: { parse: parsePreviewStart, hint: '"auto" or a non-negative number of seconds' },
+  durationSeconds: { parse: (v) => numberInRange(v, 5, 300), hint: 'a number of seconds between 5 and 300' },
+  segmentSeconds: { parse: (v) => numberInRange(v, 1, 20), hint: 'a number of seconds between 1 and 20' },
+  fadeSeconds: { parse: (v) => numberInRange(v, 0, 10), hint: 'a number of seconds between 0 and 10' },
+  bitratesKbps: {
+    parse: (v) => listOf(v, (b) => (Number.isInteger(b) ? numberInRange(b, 32, 320) : null), 1, 6)?.sort(byNumber),
+    hint: 'an array of 1 to 6 integer bitrates between 32 and 320 (kbps)',
+  },
+  segmentType: { parse: (v) => (v === 'mpegts' || v === 'fmp4' ? v : null), hint: '"mpegts" or "fmp4"' },
+  downloadFormats: {
+    parse: (v) => listOf(v, (f) => (Object.hasOwn(DOWNLOAD_FORMATS, f) ? f : null), 0, 4),
+    hint: 'an array of download formats (mp3, m4a, flac, ogg)',
+  },
+  watermark: { parse: (v) => (typeof v === 'boolean' ? v : null), hint: 'a boolean' },
+  encrypt: { parse: (v) => (typeof v === 'boolean' ? v : null), hint: 'a boolean' },
+};
+
+const byNumber = (a, b) => a - b;
+
+function numberInRange(v, min, max) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max ? v : null;
+}
+
+/** Array of min..max valid, distinct items, or null if anything is off */
+function listOf(v, item, min, max) {
+  if (!Array.isArray(v) || v.length < min || v.length > max) return null;
+  const out = v.map(item);
+  return out.includes(null) || new Set(out).size !== out.length ? null : out;
+}
+
+/** → { options, errors }; errors are ready-to-send messages ("options.durationSeconds must be ...") */
+export function validatePreviewOptions(raw) {
+  if (raw == null) return { options: {}, errors: [] };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { options: {}, errors: ['options must be an object'] };
+
+  const options = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    const field = PREVIEW_OPTION_SCHEMA[key];
+    if (!field) {
+      errors.push(`options.${key} is not supported (known: ${Object.keys(PREVIEW_OPTION_SCHEMA).join(', ')})`);
+    } else if (value != null) {
+      const parsed = field.parse(value);
+      if (parsed == null) errors.push(`options.${key} must be ${field.hint}`);
+      else options[key] = parsed;
+    }
+  }
+  return { options, errors };
+}
+
+/** Request options over `defaults` (every option, from the env) → the complete set a variant is rendered with */
+export function effectivePreviewOptions(requested, defaults) {
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, requested?.[key] ?? value]));
+}
@@ -0,0 +1,78 @@
+/** HMAC helpers and inbound request signature / nonce verification */
+
+import crypto from 'crypto';
+
+/** Worker-style HMAC (MATCHES your Worker): hex, lowercase */
+export function hmacHex(secret, msg) {
+  return crypto.createHmac('sha256', secret).update(msg).digest('hex');
+}
+
+/**
+ * Inbound requests (the Worker → us) are signed like our callbacks, plus a nonce:
+ *   X-Dainify-Timestamp: unix seconds, within WEBHOOK_MAX_SKEW_SECONDS of our clock
+ *   X-Dainify-Nonce:     8–128 chars of [A-Za-z0-9_-], single use
+ *   X-Dainify-Key-Id:    optional; which WEBHOOK_SIGNING_KEYS entry signed (all are tried when absent)
+ *   X-Dainify-Signature: "sha256=" + hex(HMAC_SHA256(secret, "<timestamp>.<nonce>.<METHOD>.<url>.<raw body>"))
+ * <METHOD> is upper-case, <url> the request path + query exactly as sent (e.g. "/jobs/t1/cancel"), so a
+ * signature for one endpoint (or a body-less GET) can't be replayed against another.
+ * `keys` / `maxSkewSeconds` are config.requestAuth's; `now` (ms) is only overridden by tests.
+ * Returns null when the request is authentic, otherwise the reason (logged, never sent back).
+ */
+export function verifyRequestSignature(req, { keys, maxSkewSeconds, now = Date.now() }) {
+  const ts = req.headers['x-dainify-timestamp'];
+  const nonce = req.headers['x-dainify-nonce'];
+  const signature = req.headers['x-dainify-signature'];
+  const keyId = req.headers['x-dainify-key-id'];
+
+  if (!ts || !nonce || !signature) return 'missing signature headers';
+  if (!/^\d+$/.test(ts) || Math.abs(now / 1000 - Number(ts)) > maxSkewSeconds) {
+    return 'timestamp outside the allowed window';
+  }
+  if (!/^[\w-]{8,128}$/.test(nonce)) return 'malformed nonce';
+
+  const secrets = keyId != null ? (keys.has(keyId) ? [keys.get(keyId)] : []) : [...keys.values()];
+  if (!secrets.length) return keyId != null ? `unknown key id "${keyId}"` : 'no signing keys configured';
+
+  const message = `${ts}.${nonce}.${req.method.toUpperCase()}.${req.originalUrl}.${req.rawBody || ''}`;
+  // check every candidate so timing doesn't reveal which key matched
+  const matches = secrets.map((secret) => safeEqual(signature, `sha256=${hmacHex(secret, message)}`));
+  if (!matches.includes(true)) return 'signature mismatch';
+
+  if (!rememberNonce(nonce, maxSkewSeconds * 2 * 1000, now)) return 'nonce already used';
+  return null;
+}
+
+const seenNonces = new Map(); // nonce → expiry (ms); per process, so replicas don't share it
+
+/** false if the nonce was seen within its TTL; otherwise records it */
+export function rememberNonce(nonce, ttlMs, now = Date.now()) {
+  // entries share one TTL, so insertion order is expiry order
+  for (const [n, expiresAt] of seenNonces) {
+    if (expiresAt > now) break;
+    seenNonces.delete(n);
+  }
+  if (seenNonces.get(nonce) > now) return false;
+  seenNonces.delete(nonce); // re-insert at the end, keeping insertion order = expiry order
+  seenNonces.set(nonce, now + ttlMs);
+  return true;
+}
+
+/** Constant-time string comparison (hashing first makes the lengths equal) */
+export function safeEqual(a, b) {
+  const digest = (v) => crypto.createHash('sha256').update(String(v)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/** "kid:secret,kid2:secret2" (+ WEBHOOK_SECRET as "default") → Map(kid → secret) */
+export function parseSigningKeys(list, fallbackSecret) {
+  const keys = new Map();
+  for (const entry of String(list || '').split(',')) {
+    const at = entry.indexOf(':');
+    if (at <= 0) continue;
+    const kid = entry.slice(0, at).trim();
+    const secret = entry.slice(at + 1).trim();
+    if (kid && secret) keys.set(kid, secret);
+  }
+  if (fallbackSecret && !keys.has('default')) keys.set('default', fallbackSecret);
+  return keys;
+}
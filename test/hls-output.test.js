@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Ffmpeg from 'fluent-ffmpeg';
+
+import { hlsPreviewOutputOptions } from '../lib/hls-output.js';
+
+const previewOpts = (bitratesKbps, extra = {}) => ({
+  bitratesKbps,
+  segmentType: 'mpegts',
+  segmentSeconds: 6,
+  ...extra,
+});
+
+/** argv exactly as fluent-ffmpeg would hand it to ffmpeg */
+function argvFor(bitrates, extra) {
+  const outputs = bitrates.map((_, i) => `out${i}`);
+  const opts = hlsPreviewOutputOptions('/tmp/job', '/tmp/job/demo.m3u8', outputs, previewOpts(bitrates, extra));
+  return Ffmpeg('in.mp3').outputOptions(...opts).output('/tmp/job/demo_%v.m3u8')._getArguments();
+}
+
+const valueOf = (argv, flag) => argv[argv.indexOf(flag) + 1];
+
+for (const [bitrates, streamMap] of [
+  [[128], 'a:0,name:128k'],
+  [[64, 128], 'a:0,name:64k a:1,name:128k'],
+  [[64, 128, 192], 'a:0,name:64k a:1,name:128k a:2,name:192k'],
+]) {
+  test(`${bitrates.length} rendition(s): -var_stream_map stays one argument`, () => {
+    const argv = argvFor(bitrates);
+    assert.equal(valueOf(argv, '-var_stream_map'), streamMap);
+    assert.equal(argv.filter((a) => a === '-map').length, bitrates.length);
+    bitrates.forEach((kbps, i) => assert.equal(valueOf(argv, `-b:a:${i}`), `${kbps}k`));
+    assert.equal(valueOf(argv, '-master_pl_name'), 'demo.m3u8');
+    assert.equal(argv.at(-1), '/tmp/job/demo_%v.m3u8');
+  });
+}
+
+test('every option and value is its own argument', () => {
+  const argv = argvFor([64, 128], { segmentType: 'fmp4', encryption: { keyInfoPath: '/tmp/job/key info' } });
+  assert.equal(valueOf(argv, '-f'), 'hls');
+  assert.equal(valueOf(argv, '-hls_time'), '6');
+  assert.equal(valueOf(argv, '-hls_segment_type'), 'fmp4');
+  assert.equal(valueOf(argv, '-hls_segment_filename'), '/tmp/job/seg_%v_%03d.m4s');
+  assert.equal(valueOf(argv, '-hls_key_info_file'), '/tmp/job/key info');
+  assert.ok(argv.every((a) => typeof a === 'string'));
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FAILURE_CODES } from '../lib/failures.js';
+import {
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+  pickAudioSource,
+  renderMediaPlaylist,
+} from '../lib/hls-playlist.js';
+
+const BASE = 'https://cdn.example.com/track/';
+
+test('BYTERANGE without @offset continues after the previous sub-range of the same URI', () => {
+  const pl = parseMediaPlaylist(
+    [
+      '#EXTM3U',
+      '#EXT-X-VERSION:4',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXTINF:6,',
+      '#EXT-X-BYTERANGE:1000@0',
+      'a.aac',
+      '#EXTINF:6,',
+      '#EXT-X-BYTERANGE:2000',
+      'a.aac',
+      '#EXTINF:6,',
+      '#EXT-X-BYTERANGE:500',
+      'b.aac',
+      '#EXTINF:6,',
+      '#EXT-X-BYTERANGE:700',
+      'a.aac',
+      '#EXT-X-ENDLIST',
+    ].join('\n'),
+    BASE
+  );
+
+  assert.deepEqual(
+    pl.segments.map((s) => [s.uri, s.byteRange]),
+    [
+      [`${BASE}a.aac`, { length: 1000, offset: 0 }],
+      [`${BASE}a.aac`, { length: 2000, offset: 1000 }],
+      [`${BASE}b.aac`, { length: 500, offset: 0 }],
+      [`${BASE}a.aac`, { length: 700, offset: 3000 }],
+    ]
+  );
+
+  const out = renderMediaPlaylist(pl, pl.segments);
+  assert.match(out, /#EXT-X-VERSION:4\n/);
+  assert.match(out, /#EXT-X-BYTERANGE:2000@1000\n/);
+  assert.match(out, /#EXT-X-BYTERANGE:700@3000\n/);
+});
+
+test('merged live reloads get an explicit IV per segment and a discontinuity at sequence gaps', () => {
+  const reload = (seq, uris) =>
+    parseMediaPlaylist(
+      [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:4',
+        `#EXT-X-MEDIA-SEQUENCE:${seq}`,
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+        ...uris.flatMap((u) => ['#EXTINF:4,', u]),
+      ].join('\n'),
+      BASE
+    );
+  const first = reload(10, ['s10.ts', 's11.ts']);
+  const later = reload(13, ['s13.ts']);
+  assert.equal(first.endList, false);
+  assert.deepEqual(
+    [...first.segments, ...later.segments].map((s) => s.seq),
+    [10, 11, 13]
+  );
+
+  const lines = renderMediaPlaylist(later, [...first.segments, ...later.segments]).trim().split('\n');
+  const keyLines = lines.filter((l) => l.startsWith('#EXT-X-KEY'));
+  assert.deepEqual(keyLines, [
+    `#EXT-X-KEY:METHOD=AES-128,URI="${BASE}key.bin",IV=0x${'a'.padStart(32, '0')}`,
+    `#EXT-X-KEY:METHOD=AES-128,URI="${BASE}key.bin",IV=0x${'b'.padStart(32, '0')}`,
+    `#EXT-X-KEY:METHOD=AES-128,URI="${BASE}key.bin",IV=0x${'d'.padStart(32, '0')}`,
+  ]);
+  assert.equal(lines.indexOf('#EXT-X-DISCONTINUITY'), lines.indexOf(`${BASE}s11.ts`) + 1);
+  assert.ok(lines.includes('#EXT-X-MEDIA-SEQUENCE:10'));
+  assert.ok(lines.includes('#EXT-X-PLAYLIST-TYPE:VOD'));
+  assert.equal(lines.at(-1), '#EXT-X-ENDLIST');
+});
+
+test('an explicit IV on the source key is kept as is', () => {
+  const pl = parseMediaPlaylist(
+    ['#EXTM3U', '#EXT-X-KEY:METHOD=AES-128,URI="k",IV=0x1234', '#EXTINF:4,', 's.ts', '#EXT-X-ENDLIST'].join('\n'),
+    BASE
+  );
+  const out = renderMediaPlaylist(pl, pl.segments);
+  assert.match(out, new RegExp(`#EXT-X-KEY:METHOD=AES-128,URI="${BASE}k",IV=0x1234\n`));
+});
+
+test('SAMPLE-AES sources fail with SOURCE_ENCRYPTED', () => {
+  assert.throws(
+    () => parseMediaPlaylist('#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k"\n#EXTINF:4,\ns.ts\n', BASE),
+    (e) => e.failureCode === FAILURE_CODES.SOURCE_ENCRYPTED
+  );
+});
+
+test('the chosen variant\'s AUDIO group rendition is used, DEFAULT first', () => {
+  const master = parseMasterPlaylist(
+    [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Surround",CHANNELS="6",URI="aac/51.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Main",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="aac/main.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="other",NAME="Main",DEFAULT=YES,URI="other/main.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,CODECS="avc1.4d401f,mp4a.40.2",AUDIO="aac"',
+      'video/low.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2000000,CODECS="avc1.4d401f,mp4a.40.2",AUDIO="aac"',
+      'video/high.m3u8',
+    ].join('\n'),
+    BASE
+  );
+  const pick = pickAudioSource(master);
+  assert.equal(pick.kind, 'rendition');
+  assert.equal(pick.uri, `${BASE}aac/main.m3u8`);
+});
+
+test('audio-only variants beat muxed video; undecodable codecs are skipped', () => {
+  const master = parseMasterPlaylist(
+    [
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=900000,CODECS="avc1.4d401f,mp4a.40.2"',
+      'muxed.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=96000,CODECS="mp4a.40.2"',
+      'audio.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="unknown.codec"',
+      'odd.m3u8',
+    ].join('\n'),
+    BASE
+  );
+  assert.deepEqual(pickAudioSource(master), {
+    uri: `${BASE}audio.m3u8`,
+    kind: 'variant',
+    bandwidth: 96000,
+    codecs: ['mp4a.40.2'],
+  });
+});
+
+test('audio-only renditions are used when no variant has decodable audio', () => {
+  const master = parseMasterPlaylist(
+    [
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="a",NAME="Alt",URI="alt.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="a",NAME="Main",AUTOSELECT=YES,URI="main.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=900000,CODECS="avc1.4d401f",AUDIO="a"',
+      'video.m3u8',
+    ].join('\n'),
+    BASE
+  );
+  assert.equal(pickAudioSource(master).uri, `${BASE}main.m3u8`);
+  assert.equal(pickAudioSource({ variants: [], audio: [] }), null);
+});
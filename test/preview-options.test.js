@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { effectivePreviewOptions, parsePreviewStart, validatePreviewOptions } from '../lib/preview-options.js';
+
+const DEFAULTS = {
+  start: 'auto',
+  durationSeconds: 30,
+  segmentSeconds: 4,
+  fadeSeconds: 1.5,
+  bitratesKbps: [64, 128, 192],
+  segmentType: 'mpegts',
+  downloadFormats: ['mp3', 'm4a', 'flac', 'ogg'],
+  watermark: false,
+  encrypt: false,
+};
+
+test('valid options are normalized (bitrates sorted)', () => {
+  const { options, errors } = validatePreviewOptions({
+    start: '12.5',
+    durationSeconds: 45,
+    bitratesKbps: [192, 64],
+    segmentType: 'fmp4',
+    downloadFormats: [],
+    watermark: true,
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(options, {
+    start: 12.5,
+    durationSeconds: 45,
+    bitratesKbps: [64, 192],
+    segmentType: 'fmp4',
+    downloadFormats: [],
+    watermark: true,
+  });
+});
+
+test('missing or null options are not errors', () => {
+  assert.deepEqual(validatePreviewOptions(undefined), { options: {}, errors: [] });
+  assert.deepEqual(validatePreviewOptions({ start: null, fadeSeconds: undefined }), { options: {}, errors: [] });
+});
+
+test('non-objects and unknown keys are rejected', () => {
+  assert.deepEqual(validatePreviewOptions([1]).errors, ['options must be an object']);
+  assert.deepEqual(validatePreviewOptions('fast').errors, ['options must be an object']);
+  const { options, errors } = validatePreviewOptions({ durationSeconds: 20, loudness: -14 });
+  assert.deepEqual(options, { durationSeconds: 20 });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^options\.loudness is not supported \(known: start, durationSeconds, /);
+});
+
+test('out-of-range and mistyped values are rejected with their hint', () => {
+  const { errors } = validatePreviewOptions({
+    start: -1,
+    durationSeconds: 301,
+    segmentSeconds: 0.5,
+    fadeSeconds: '2',
+    segmentType: 'webm',
+    encrypt: 'yes',
+  });
+  assert.deepEqual(errors, [
+    'options.start must be "auto" or a non-negative number of seconds',
+    'options.durationSeconds must be a number of seconds between 5 and 300',
+    'options.segmentSeconds must be a number of seconds between 1 and 20',
+    'options.fadeSeconds must be a number of seconds between 0 and 10',
+    'options.segmentType must be "mpegts" or "fmp4"',
+    'options.encrypt must be a boolean',
+  ]);
+});
+
+test('bitrate and download format lists: duplicates, bounds and unknown entries', () => {
+  const hint = 'options.bitratesKbps must be an array of 1 to 6 integer bitrates between 32 and 320 (kbps)';
+  for (const bitratesKbps of [[128, 128], [], [64, 96, 128, 160, 192, 256, 320], [16], [128.5], '128']) {
+    assert.deepEqual(validatePreviewOptions({ bitratesKbps }).errors, [hint], JSON.stringify(bitratesKbps));
+  }
+  for (const downloadFormats of [['mp3', 'mp3'], ['wav'], ['mp3', 'm4a', 'flac', 'ogg', 'mp3']]) {
+    assert.equal(validatePreviewOptions({ downloadFormats }).errors.length, 1, JSON.stringify(downloadFormats));
+  }
+});
+
+test('omitted options fall back to the env defaults', () => {
+  assert.deepEqual(effectivePreviewOptions(null, DEFAULTS), DEFAULTS);
+  assert.deepEqual(effectivePreviewOptions({ durationSeconds: 60, watermark: true, unknown: 1 }, DEFAULTS), {
+    ...DEFAULTS,
+    durationSeconds: 60,
+    watermark: true,
+  });
+  // false / 0 / [] are choices, not gaps
+  const explicit = effectivePreviewOptions({ fadeSeconds: 0, downloadFormats: [], encrypt: false }, {
+    ...DEFAULTS,
+    encrypt: true,
+  });
+  assert.equal(explicit.fadeSeconds, 0);
+  assert.deepEqual(explicit.downloadFormats, []);
+  assert.equal(explicit.encrypt, false);
+});
+
+test('previewStart accepts "auto" in any case and non-negative seconds', () => {
+  assert.equal(parsePreviewStart('AUTO'), 'auto');
+  assert.equal(parsePreviewStart('0'), 0);
+  assert.equal(parsePreviewStart(''), null);
+  assert.equal(parsePreviewStart('soon'), null);
+});
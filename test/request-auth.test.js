@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+import { parseSigningKeys, rememberNonce, verifyRequestSignature } from '../lib/request-auth.js';
+
+const NOW = 1_760_000_000_000;
+const auth = { keys: parseSigningKeys('k1:first,k2:second'), maxSkewSeconds: 300, now: NOW };
+
+function signedRequest({
+  secret = 'first',
+  keyId,
+  nonce = crypto.randomUUID(),
+  ts = Math.floor(NOW / 1000),
+  method = 'POST',
+  url = '/create-preview',
+  body = '{"taskId":"t1"}',
+} = {}) {
+  const sig = crypto.createHmac('sha256', secret).update(`${ts}.${nonce}.${method}.${url}.${body}`).digest('hex');
+  return {
+    method,
+    originalUrl: url,
+    rawBody: body,
+    headers: {
+      'x-dainify-timestamp': String(ts),
+      'x-dainify-nonce': nonce,
+      'x-dainify-signature': `sha256=${sig}`,
+      ...(keyId && { 'x-dainify-key-id': keyId }),
+    },
+  };
+}
+
+test('a correctly signed request passes, with or without a key id', () => {
+  assert.equal(verifyRequestSignature(signedRequest(), auth), null);
+  assert.equal(verifyRequestSignature(signedRequest({ secret: 'second', keyId: 'k2' }), auth), null);
+  assert.equal(verifyRequestSignature(signedRequest({ secret: 'second' }), auth), null);
+});
+
+test('a replayed nonce is rejected', () => {
+  const req = signedRequest();
+  assert.equal(verifyRequestSignature(req, auth), null);
+  assert.equal(verifyRequestSignature(req, auth), 'nonce already used');
+  assert.equal(verifyRequestSignature(req, { ...auth, now: NOW + 60 * 1000 }), 'nonce already used');
+});
+
+test('timestamps outside the skew window are rejected either way', () => {
+  const ts = Math.floor(NOW / 1000);
+  assert.equal(verifyRequestSignature(signedRequest({ ts: ts - 301 }), auth), 'timestamp outside the allowed window');
+  assert.equal(verifyRequestSignature(signedRequest({ ts: ts + 301 }), auth), 'timestamp outside the allowed window');
+  assert.equal(verifyRequestSignature(signedRequest({ ts: ts - 299 }), auth), null);
+});
+
+test('the signature is bound to the method and URL', () => {
+  const get = signedRequest({ method: 'GET', url: '/jobs/t1', body: '' });
+  const cancel = { ...get, method: 'POST', originalUrl: '/jobs/t1/cancel' };
+  assert.equal(verifyRequestSignature(cancel, auth), 'signature mismatch');
+  const del = signedRequest({ method: 'DELETE', url: '/previews/t1', body: '' });
+  assert.equal(verifyRequestSignature({ ...del, originalUrl: '/previews/t2' }, auth), 'signature mismatch');
+});
+
+test('wrong secrets, unknown key ids and malformed headers are rejected', () => {
+  assert.equal(verifyRequestSignature(signedRequest({ secret: 'nope' }), auth), 'signature mismatch');
+  assert.equal(verifyRequestSignature(signedRequest({ secret: 'second', keyId: 'k1' }), auth), 'signature mismatch');
+  assert.equal(verifyRequestSignature(signedRequest({ keyId: 'k9' }), auth), 'unknown key id "k9"');
+  assert.equal(verifyRequestSignature(signedRequest({ nonce: 'short' }), auth), 'malformed nonce');
+  assert.equal(verifyRequestSignature({ ...signedRequest(), headers: {} }, auth), 'missing signature headers');
+});
+
+test('a nonce can be reused once its TTL has passed', () => {
+  assert.equal(rememberNonce('ttl-nonce-1', 1000, NOW), true);
+  assert.equal(rememberNonce('ttl-nonce-1', 1000, NOW + 999), false);
+  assert.equal(rememberNonce('ttl-nonce-1', 1000, NOW + 1000), true);
+});